@@ -0,0 +1,92 @@
+// Optional access tokens for private deployments.
+//
+// ACCESS_TOKENS (a Worker secret) turns authentication on. It is either a JSON
+// object of named tokens, each a string or an object with its own limits:
+//   { "alice": "s3cret", "ci": { "token": "t0ken", "perMinute": 300, "burst": 50, "dailyQuota": 5000 } }
+// or a comma-separated list of name:token pairs ("alice:s3cret,ci:t0ken").
+//
+// Callers send `Authorization: Bearer <token>` or the signed session cookie
+// issued by POST /api/session, which browsers attach to plain links too.
+export const SESSION_COOKIE = 'vibeloader_session';
+const DEFAULT_SESSION_TTL = 7 * 24 * 60 * 60;
+
+const encoder = new TextEncoder();
+
+export function loadTokens(env = {}) {
+  const raw = env.ACCESS_TOKENS?.trim();
+  if (!raw) return [];
+
+  let entries;
+  if (raw.startsWith('{')) {
+    try {
+      entries = Object.entries(JSON.parse(raw));
+    } catch (err) {
+      // Failing closed: a typo must not open a private deployment
+      console.log(`ACCESS_TOKENS is not valid JSON: ${err.message}`);
+      return [{ name: null, token: null }];
+    }
+  } else {
+    entries = raw.split(',').map(pair => {
+      const index = pair.indexOf(':');
+      return [pair.slice(0, index).trim(), pair.slice(index + 1).trim()];
+    });
+  }
+
+  return entries
+    .map(([name, value]) => typeof value === 'string' ? { name, token: value } : { name, ...value })
+    .filter(t => t.name && t.token);
+}
+
+// Comparison whose duration doesn't depend on where the strings differ
+function safeEqual(a, b) {
+  const x = encoder.encode(a);
+  const y = encoder.encode(b);
+  let diff = x.length ^ y.length;
+  for (let i = 0; i < x.length; i++) diff |= x[i] ^ (y[i % y.length] || 0);
+  return diff === 0;
+}
+
+// Base64url HMAC-SHA256 of `message`
+export async function hmac(secret, message) {
+  const key = await crypto.subtle.importKey('raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+  const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(message));
+  return btoa(String.fromCharCode(...new Uint8Array(signature)))
+    .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+// Cookie value "<name>.<expires>.<signature>", signed with the token itself so
+// rotating a token also invalidates its sessions
+export async function signSession(token, ttl = DEFAULT_SESSION_TTL, now = Date.now()) {
+  const payload = `${encodeURIComponent(token.name)}.${Math.floor(now / 1000) + ttl}`;
+  return `${payload}.${await hmac(token.token, payload)}`;
+}
+
+async function verifySession(value, tokens, now = Date.now()) {
+  const [name, expires, signature] = value.split('.');
+  if (!signature || Number(expires) * 1000 < now) return null;
+  const token = tokens.find(t => t.token && t.name === decodeURIComponent(name));
+  if (!token) return null;
+  return safeEqual(signature, await hmac(token.token, `${name}.${expires}`)) ? token : null;
+}
+
+const readCookie = (request, name) => request.headers.get('Cookie')
+  ?.split(';')
+  .map(part => part.trim().split('='))
+  .find(([key]) => key === name)?.[1] || null;
+
+// Resolves to { required, token }: `required` is false when ACCESS_TOKENS is
+// unset, `token` the matching entry of loadTokens() or null
+export async function authenticate(request, env) {
+  const tokens = loadTokens(env);
+  if (tokens.length === 0) return { required: false, token: null };
+
+  const bearer = request.headers.get('Authorization')?.match(/^Bearer\s+(.+)$/i)?.[1];
+  if (bearer) {
+    return { required: true, token: tokens.find(t => t.token && safeEqual(bearer, t.token)) || null };
+  }
+
+  const session = readCookie(request, SESSION_COOKIE);
+  return { required: true, token: session ? await verifySession(session, tokens) : null };
+}
+
+export const sessionTtl = (env = {}) => Number(env.SESSION_TTL) || DEFAULT_SESSION_TTL;
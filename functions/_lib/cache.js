@@ -0,0 +1,74 @@
+// Edge cache for /api/info results (Workers Cache API, per data center).
+//
+// Two entries per video: the full response, which lives only as long as its
+// signed stream URLs, and the metadata (title, author, thumbnail...), which
+// barely changes and is kept much longer. SponsorBlock segments are cached
+// on their own, briefly.
+const CACHE_ORIGIN = 'https://vibeloader.cache';
+const META_TTL = 7 * 24 * 60 * 60;
+const MAX_STREAM_TTL = 6 * 60 * 60;
+// Links without an `expire` parameter (Cobalt tunnels) are short-lived
+const DEFAULT_STREAM_TTL = 5 * 60;
+// SponsorBlock segments get new submissions and votes all the time
+const SEGMENTS_TTL = 30 * 60;
+// Don't hand out a link that expires before the download can finish
+const EXPIRY_MARGIN = 30 * 60;
+
+const META_FIELDS = ['title', 'author', 'duration', 'views', 'thumbnail'];
+
+function getCache() {
+  return typeof caches !== 'undefined' ? caches.default : null;
+}
+
+// Seconds until the first signed URL in the response expires, minus a margin
+export function streamTtl(info, now = Date.now()) {
+  const expiries = [...(info.formats || []), ...(info.audioFormats || [])]
+    .map(f => {
+      try {
+        return parseInt(new URL(f.url).searchParams.get('expire'));
+      } catch {
+        return NaN;
+      }
+    })
+    .filter(Number.isFinite);
+
+  if (expiries.length === 0) return DEFAULT_STREAM_TTL;
+
+  const ttl = Math.min(...expiries) - Math.floor(now / 1000) - EXPIRY_MARGIN;
+  return Math.max(0, Math.min(ttl, MAX_STREAM_TTL));
+}
+
+async function readEntry(key) {
+  const cache = getCache();
+  if (!cache) return null;
+  const response = await cache.match(`${CACHE_ORIGIN}/${key}`);
+  return response ? response.json() : null;
+}
+
+async function writeEntry(key, value, ttl) {
+  const cache = getCache();
+  if (!cache || ttl <= 0) return;
+  await cache.put(`${CACHE_ORIGIN}/${key}`, new Response(JSON.stringify(value), {
+    headers: {
+      'Content-Type': 'application/json',
+      'Cache-Control': `max-age=${ttl}`
+    }
+  }));
+}
+
+export const getCachedInfo = (key) => readEntry(`info/${key}`);
+
+export const getCachedMeta = (videoId) => readEntry(`meta/${videoId}`);
+
+export async function putCachedInfo(key, info) {
+  const meta = Object.fromEntries(META_FIELDS.map(field => [field, info[field]]));
+  await Promise.all([
+    writeEntry(`info/${key}`, info, streamTtl(info)),
+    // Links from other sites have no video ID to key the metadata by
+    info.videoId && writeEntry(`meta/${info.videoId}`, meta, META_TTL)
+  ]);
+}
+
+export const getCachedSegments = (videoId) => readEntry(`segments/${videoId}`);
+
+export const putCachedSegments = (videoId, segments) => writeEntry(`segments/${videoId}`, segments, SEGMENTS_TTL);
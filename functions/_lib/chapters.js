@@ -0,0 +1,39 @@
+// Chapters from Invidious metadata or, failing that, from the timestamps
+// in the video description (the same rules YouTube applies: the first one
+// starts at 0:00 and they go up)
+
+// "1:02:03" / "02:03" -> seconds
+const toSeconds = (timestamp) => timestamp
+  .split(':')
+  .reduce((total, part) => total * 60 + parseInt(part), 0);
+
+// "0:00 Intro", "- 01:23 - Setup", "(1:02:03) Q&A", "12:30 | Outro"
+const LINE = /^\s*(?:[-•*▶]\s*)?[([]?((?:\d{1,2}:)?\d{1,2}:\d{2})[)\]]?\s*(?:[-–—:|]\s*)?(.+?)\s*$/;
+
+export function parseDescriptionChapters(description = '') {
+  const chapters = [];
+
+  for (const line of description.split('\n')) {
+    const match = line.match(LINE);
+    if (!match) continue;
+    const start = toSeconds(match[1]);
+    if (chapters.length > 0 && start <= chapters[chapters.length - 1].start) continue;
+    chapters.push({ title: match[2], start });
+  }
+
+  if (chapters.length < 2 || chapters[0].start !== 0) return [];
+  return chapters;
+}
+
+export function parseChapters(data) {
+  const duration = data.lengthSeconds || null;
+  const fromMetadata = (data.chapters || [])
+    .map(c => ({ title: c.title, start: c.startTime ?? c.start ?? 0 }))
+    .filter(c => c.title);
+  const chapters = fromMetadata.length > 0 ? fromMetadata : parseDescriptionChapters(data.description);
+
+  return chapters.map((chapter, index) => ({
+    ...chapter,
+    end: chapters[index + 1]?.start ?? duration
+  }));
+}
@@ -0,0 +1,41 @@
+// CORS for every /api route, configured with ALLOWED_ORIGINS: a comma-separated
+// list of origins that may call the API from a browser, or "*" for any.
+// Unset means same origin only, which is all the bundled UI needs when it is
+// deployed together with the Functions.
+const ALLOW_METHODS = 'GET, HEAD, POST, OPTIONS';
+const ALLOW_HEADERS = 'Content-Type, Range, Authorization';
+const EXPOSE_HEADERS = [
+  'X-Cache', 'Content-Length', 'Content-Range', 'Content-Disposition', 'Accept-Ranges',
+  'Retry-After', 'X-RateLimit-Limit', 'X-RateLimit-Remaining', 'X-Quota-Remaining'
+].join(', ');
+
+const parseOrigins = (value) => (value || '')
+  .split(',')
+  .map(origin => origin.trim().replace(/\/+$/, ''))
+  .filter(Boolean);
+
+// Whether a request may go ahead: requests without an Origin header (curl,
+// scripts, same-origin GETs) always may; browsers only from allowed origins
+export function isOriginAllowed(request, env) {
+  const origin = request.headers.get('Origin');
+  if (!origin) return true;
+  if (origin === new URL(request.url).origin) return true;
+
+  const allowed = parseOrigins(env?.ALLOWED_ORIGINS);
+  return allowed.includes('*') || allowed.includes(origin);
+}
+
+// Headers to add to a response for an allowed request
+export function corsHeaders(request, env) {
+  const origin = request.headers.get('Origin');
+  if (!origin || !isOriginAllowed(request, env)) return {};
+
+  return {
+    'Access-Control-Allow-Origin': parseOrigins(env?.ALLOWED_ORIGINS).includes('*') ? '*' : origin,
+    'Access-Control-Allow-Methods': ALLOW_METHODS,
+    'Access-Control-Allow-Headers': ALLOW_HEADERS,
+    'Access-Control-Expose-Headers': EXPOSE_HEADERS,
+    'Access-Control-Max-Age': '86400',
+    'Vary': 'Origin'
+  };
+}
@@ -0,0 +1,53 @@
+// Download link lookup shared by /api/download and the jobs API: the first
+// provider that can hand out a link for the target wins
+import { getProviders } from './providers/index.js';
+import { createHealthTracker } from './health.js';
+import { providerAttempts, summarizeAttempts } from './errors.js';
+import { ApiError } from '../../shared/errors.js';
+
+// Output formats Cobalt can transcode audio-only downloads to
+export const AUDIO_FORMATS = ['mp3', 'opus', 'm4a', 'wav'];
+
+// { quality, audio, audioFormat } from a request body, with the defaults of
+// /api/download; throws INVALID_REQUEST for an unknown audio format
+export function downloadOptions({ quality, audio, audioFormat }, site) {
+  if (audioFormat && !AUDIO_FORMATS.includes(audioFormat)) {
+    throw new ApiError('INVALID_REQUEST', `Audio format must be one of: ${AUDIO_FORMATS.join(', ')}`);
+  }
+  return {
+    quality: quality || '1080',
+    audioFormat: audio || site.audioOnly ? audioFormat || 'mp3' : null
+  };
+}
+
+// `target` comes from parseMediaTarget(). Resolves to { result, error }:
+// result is the provider's { url }, or null and error an ApiError.
+export async function resolveDownload(context, target, options) {
+  const { videoId } = target;
+  const health = await createHealthTracker(context.env).load();
+  const providers = await getProviders(context.env, { health });
+  const attempts = [];
+  let result = null;
+
+  for (const provider of providers) {
+    try {
+      if (videoId && provider.getDownload) {
+        result = await provider.getDownload(videoId, options);
+      } else if (!videoId && provider.getUrlDownload) {
+        result = await provider.getUrlDownload(target.url, options);
+      } else {
+        continue;
+      }
+      break;
+    } catch (err) {
+      attempts.push(...providerAttempts(provider, err));
+    }
+  }
+
+  context.waitUntil(health.save());
+
+  const error = result ? null : summarizeAttempts(attempts, videoId ? {
+    fallbackUrl: `https://ssyoutube.com/watch?v=${videoId}`
+  } : {});
+  return { result, error };
+}
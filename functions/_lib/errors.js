@@ -0,0 +1,57 @@
+// Turning provider failures into the shared error model (see shared/errors.js)
+import { ApiError, ERROR_CODES } from '../../shared/errors.js';
+
+// Map an upstream failure (Invidious error text, HTTP status) to a code.
+// Returns null for failures that say nothing about the video itself.
+export function classifyUpstreamError(message = '', status = null) {
+  if (status === 429 || /rate.?limit|too many requests/i.test(message)) return ERROR_CODES.RATE_LIMITED;
+  if (/private video|video is private/i.test(message)) return ERROR_CODES.VIDEO_PRIVATE;
+  if (/confirm your age|age.?restricted|inappropriate for some users/i.test(message)) return ERROR_CODES.AGE_RESTRICTED;
+  if (/(not|isn't) available in your country|blocked it in your country|geo.?(restricted|blocked)/i.test(message)) {
+    return ERROR_CODES.GEO_BLOCKED;
+  }
+  if (/live (event|stream) will begin|premieres? in|waiting for .*to start/i.test(message)) {
+    return ERROR_CODES.LIVE_NOT_STARTED;
+  }
+  if (/video (is )?unavailable|has been removed|no longer available|does not exist|account.*terminated/i.test(message)) {
+    return ERROR_CODES.VIDEO_UNAVAILABLE;
+  }
+  return null;
+}
+
+// Codes that describe the video rather than the provider
+const CONTENT_CODES = ['VIDEO_UNAVAILABLE', 'VIDEO_PRIVATE', 'AGE_RESTRICTED', 'GEO_BLOCKED', 'LIVE_NOT_STARTED'];
+
+// One error for a request where every provider failed; `details` are extra
+// fields for the response body
+export function summarizeAttempts(attempts, details = {}) {
+  const content = attempts.find(a => CONTENT_CODES.includes(a.code));
+  if (content) return new ApiError(content.code, undefined, { attempts, ...details });
+
+  if (attempts.length > 0 && attempts.every(a => a.code === ERROR_CODES.RATE_LIMITED)) {
+    return new ApiError(ERROR_CODES.RATE_LIMITED, undefined, { attempts, ...details });
+  }
+  return new ApiError(ERROR_CODES.ALL_PROVIDERS_DOWN, undefined, { attempts, ...details });
+}
+
+// Per-instance failures recorded by tryInstances/raceInstances, tagged with the provider
+export function providerAttempts(provider, err) {
+  const attempts = err.attempts || [{ instance: null, error: err.message }];
+  return attempts.map(a => ({
+    provider: provider.name,
+    instance: a.instance,
+    error: a.error,
+    code: classifyUpstreamError(a.error, a.status)
+  }));
+}
+
+export function errorResponse(err, headers = {}) {
+  const apiError = err instanceof ApiError
+    ? err
+    : new ApiError(ERROR_CODES.INTERNAL_ERROR, err.message);
+
+  return new Response(JSON.stringify(apiError), {
+    status: apiError.status,
+    headers: { ...headers, 'Content-Type': 'application/json' }
+  });
+}
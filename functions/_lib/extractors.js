@@ -0,0 +1,43 @@
+// Per-site metadata for links that are downloaded through Cobalt. Cobalt only
+// returns a media URL, so the title, author and thumbnail come from the
+// site's oEmbed endpoint where it has one.
+import { fetchWithTimeout, BROWSER_USER_AGENT } from './http.js';
+
+const OEMBED_ENDPOINTS = {
+  youtube: 'https://www.youtube.com/oembed',
+  vimeo: 'https://vimeo.com/api/oembed.json',
+  soundcloud: 'https://soundcloud.com/oembed',
+  twitter: 'https://publish.twitter.com/oembed',
+  reddit: 'https://www.reddit.com/oembed',
+  tiktok: 'https://www.tiktok.com/oembed',
+  dailymotion: 'https://www.dailymotion.com/services/oembed',
+  tumblr: 'https://www.tumblr.com/oembed/1.0',
+  bluesky: 'https://embed.bsky.app/oembed'
+};
+
+// Resolves to { title, author, thumbnail, duration }; never throws, since a
+// download works fine without a title
+export async function extractMeta(site, url) {
+  const fallback = { title: `${site.name} media`, author: null, thumbnail: null, duration: null };
+  const endpoint = OEMBED_ENDPOINTS[site.id];
+  if (!endpoint) return fallback;
+
+  try {
+    const response = await fetchWithTimeout(`${endpoint}?format=json&url=${encodeURIComponent(url)}`, {
+      headers: { 'User-Agent': BROWSER_USER_AGENT, 'Accept': 'application/json' }
+    }, 8000);
+    if (!response.ok) return fallback;
+    const data = await response.json();
+
+    return {
+      // Posts (tweets, skeets) have an author but no title
+      title: data.title || (data.author_name ? `${site.name} post by ${data.author_name}` : fallback.title),
+      author: data.author_name || null,
+      thumbnail: data.thumbnail_url || null,
+      duration: Number(data.duration) || null
+    };
+  } catch (err) {
+    console.log(`${site.name} oEmbed failed: ${err.message}`);
+    return fallback;
+  }
+}
@@ -0,0 +1,207 @@
+// Per-instance health tracking shared by all providers.
+//
+// Stats are kept per isolate. With the KV binding VIBELOADER_HEALTH they are
+// also shared through one "instances" key: an isolate reads it and writes its
+// own stats back at most once per SYNC_INTERVAL, keeping the newer entry of
+// each instance. Writing on every request would be a get-modify-put per
+// request on one key, which KV limits to a write per second and where
+// concurrent writers overwrite each other. The price is that other data
+// centers see a failing instance up to SYNC_INTERVAL (plus KV's propagation
+// delay) late, and a concurrent flush can still drop another isolate's
+// latest samples; health only orders instances, so that is acceptable.
+//
+// An instance that fails FAILURE_THRESHOLD times in a row is skipped for
+// COOLDOWN_MS, unless every instance of a provider is cooling down.
+const KV_KEY = 'instances';
+const SYNC_INTERVAL = 30 * 1000;
+const FAILURE_THRESHOLD = 3;
+const COOLDOWN_MS = 5 * 60 * 1000;
+// Weight of the newest sample in the moving averages
+const SMOOTHING = 0.3;
+
+// This isolate's stats, and when they were last read from and written to KV
+const memoryStats = {};
+let loadedAt = 0;
+let savedAt = 0;
+let dirty = false;
+
+// Stored entries that are newer than ours replace them
+function mergeStats(stored) {
+  for (const [instance, s] of Object.entries(stored || {})) {
+    if (!memoryStats[instance] || s.updatedAt > memoryStats[instance].updatedAt) {
+      memoryStats[instance] = s;
+    }
+  }
+}
+
+function emptyStats() {
+  return {
+    successes: 0,
+    failures: 0,
+    consecutiveFailures: 0,
+    successRate: 1,
+    latency: null,
+    cooldownUntil: 0,
+    lastError: null,
+    updatedAt: 0
+  };
+}
+
+export function createHealthTracker(env) {
+  const kv = env?.VIBELOADER_HEALTH;
+  const stats = memoryStats;
+
+  const get = (instance) => stats[instance] || emptyStats();
+
+  const tracker = {
+    async load() {
+      if (!kv || Date.now() - loadedAt < SYNC_INTERVAL) return tracker;
+      loadedAt = Date.now();
+      try {
+        mergeStats(await kv.get(KV_KEY, 'json'));
+      } catch (err) {
+        console.log(`Health stats unreadable: ${err.message}`);
+      }
+      return tracker;
+    },
+
+    async save() {
+      if (!kv || !dirty || Date.now() - savedAt < SYNC_INTERVAL) return;
+      // Set before the write so concurrent requests don't flush as well
+      savedAt = Date.now();
+      dirty = false;
+      try {
+        // Pick up what other isolates wrote since the last load
+        mergeStats(await kv.get(KV_KEY, 'json'));
+        await kv.put(KV_KEY, JSON.stringify(stats));
+      } catch (err) {
+        console.log(`Health stats not saved: ${err.message}`);
+      }
+    },
+
+    snapshot() {
+      return { ...stats };
+    },
+
+    recordSuccess(instance, latency) {
+      const s = get(instance);
+      s.successes += 1;
+      s.consecutiveFailures = 0;
+      s.cooldownUntil = 0;
+      s.successRate = s.successRate * (1 - SMOOTHING) + SMOOTHING;
+      s.latency = s.latency === null ? latency : Math.round(s.latency * (1 - SMOOTHING) + latency * SMOOTHING);
+      s.updatedAt = Date.now();
+      stats[instance] = s;
+      dirty = true;
+    },
+
+    recordFailure(instance, error) {
+      const s = get(instance);
+      s.failures += 1;
+      s.consecutiveFailures += 1;
+      s.successRate = s.successRate * (1 - SMOOTHING);
+      s.lastError = error;
+      if (s.consecutiveFailures >= FAILURE_THRESHOLD) {
+        s.cooldownUntil = Date.now() + COOLDOWN_MS;
+      }
+      s.updatedAt = Date.now();
+      stats[instance] = s;
+      dirty = true;
+    },
+
+    isCoolingDown(instance) {
+      return get(instance).cooldownUntil > Date.now();
+    },
+
+    // Healthiest first: success rate, then latency; untried instances go after
+    // proven ones with the same success rate
+    rank(instances) {
+      const available = instances.filter(i => !tracker.isCoolingDown(i));
+      const candidates = available.length > 0 ? available : instances;
+
+      return [...candidates].sort((a, b) => {
+        const sa = get(a);
+        const sb = get(b);
+        if (sb.successRate !== sa.successRate) return sb.successRate - sa.successRate;
+        return (sa.latency ?? Number.MAX_SAFE_INTEGER) - (sb.latency ?? Number.MAX_SAFE_INTEGER);
+      });
+    }
+  };
+
+  return tracker;
+}
+
+// Tracker that records nothing, for callers that don't thread one through
+export const noopHealth = {
+  rank: (instances) => instances,
+  recordSuccess() {},
+  recordFailure() {}
+};
+
+// Error thrown when every instance failed; `attempts` lists each failure
+function allFailed(attempts) {
+  const last = attempts[attempts.length - 1];
+  const err = new Error(last ? `${last.instance}: ${last.error}` : 'No instances configured');
+  err.attempts = attempts;
+  return err;
+}
+
+// Run `attempt(instance, signal)` against instances one at a time, in health order
+export async function tryInstances(instances, attempt, { health = noopHealth, timeout } = {}) {
+  const attempts = [];
+
+  for (const instance of health.rank(instances)) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeout);
+    const started = Date.now();
+    try {
+      const result = await attempt(instance, controller.signal);
+      health.recordSuccess(instance, Date.now() - started);
+      return result;
+    } catch (err) {
+      attempts.push({ instance, error: err.message, status: err.status });
+      health.recordFailure(instance, err.message);
+      console.log(`${instance}: ${err.message}`);
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  throw allFailed(attempts);
+}
+
+// Run `attempt(instance, signal)` against all instances at once and keep the
+// first good answer; the losers are aborted
+export async function raceInstances(instances, attempt, { health = noopHealth, timeout } = {}) {
+  const ranked = health.rank(instances);
+  if (ranked.length === 0) throw allFailed([]);
+
+  const controllers = ranked.map(() => new AbortController());
+  const timeoutId = setTimeout(() => controllers.forEach(c => c.abort()), timeout);
+  const attempts = [];
+  let settled = false;
+
+  try {
+    return await Promise.any(ranked.map(async (instance, index) => {
+      const started = Date.now();
+      try {
+        const result = await attempt(instance, controllers[index].signal);
+        health.recordSuccess(instance, Date.now() - started);
+        settled = true;
+        controllers.forEach((c, i) => i !== index && c.abort());
+        return result;
+      } catch (err) {
+        // Aborted because another instance won; not the instance's fault
+        if (!settled) {
+          health.recordFailure(instance, err.message);
+        }
+        attempts.push({ instance, error: err.message, status: err.status });
+        throw err;
+      }
+    }));
+  } catch {
+    throw allFailed(attempts);
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
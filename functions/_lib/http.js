@@ -0,0 +1,28 @@
+// Shared fetch helpers for the Pages Functions
+export const BROWSER_USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36';
+
+export async function fetchWithTimeout(url, options = {}, timeout = 12000) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeout);
+  
+  try {
+    const response = await fetch(url, {
+      ...options,
+      signal: controller.signal
+    });
+    clearTimeout(timeoutId);
+    return response;
+  } catch (err) {
+    clearTimeout(timeoutId);
+    throw err;
+  }
+}
+
+// Error for a non-2xx upstream response, with the upstream's own message
+// (Invidious sends { error }, Cobalt { text }) when there is one
+export async function httpError(response) {
+  const body = await response.json().catch(() => null);
+  const err = new Error(body?.error || body?.text || `HTTP ${response.status}`);
+  err.status = response.status;
+  return err;
+}
@@ -0,0 +1,174 @@
+// Asynchronous download jobs (POST /api/jobs, GET /api/jobs/:id).
+//
+// Jobs live for JOB_TTL in the KV binding VIBELOADER_JOBS when it is
+// configured, otherwise in isolate memory, where a later request may not find
+// them. A job is resolved in the background (context.waitUntil) right after it
+// is created:
+//
+//   queued -> resolving -> ready | failed
+//
+// and, when it has a `webhook`, the finished job is POSTed there as JSON. With
+// WEBHOOK_SECRET set the body is signed: X-Vibeloader-Signature: sha256=<base64url HMAC>.
+import { resolveDownload } from './download.js';
+import { hmac } from './auth.js';
+import { fetchWithTimeout } from './http.js';
+import { ApiError } from '../../shared/errors.js';
+
+const JOB_TTL = 24 * 60 * 60;
+const WEBHOOK_TIMEOUT = 10000;
+
+// Isolate-memory fallback: id -> { job, expiresAt }, swept on write at most
+// once per interval, like the rate limit buckets
+const memoryJobs = new Map();
+const SWEEP_INTERVAL = 60 * 1000;
+let lastSweep = 0;
+
+function memorySave(job, now = Date.now()) {
+  memoryJobs.set(job.id, { job, expiresAt: now + JOB_TTL * 1000 });
+  if (now - lastSweep < SWEEP_INTERVAL) return;
+  lastSweep = now;
+  for (const [id, entry] of memoryJobs) {
+    if (entry.expiresAt <= now) memoryJobs.delete(id);
+  }
+}
+
+export async function getJob(env, id) {
+  const kv = env?.VIBELOADER_JOBS;
+  if (!kv) {
+    const entry = memoryJobs.get(id);
+    return entry && entry.expiresAt > Date.now() ? entry.job : null;
+  }
+  try {
+    return await kv.get(`job:${id}`, 'json');
+  } catch (err) {
+    console.log(`Job ${id} unreadable: ${err.message}`);
+    return null;
+  }
+}
+
+async function saveJob(env, job) {
+  job.updatedAt = new Date().toISOString();
+  const kv = env?.VIBELOADER_JOBS;
+  if (!kv) {
+    memorySave(job);
+    return;
+  }
+  await kv.put(`job:${job.id}`, JSON.stringify(job), { expirationTtl: JOB_TTL });
+}
+
+// Only http(s) URLs; throws INVALID_REQUEST otherwise
+export function parseWebhook(value) {
+  if (!value) return null;
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    throw new ApiError('INVALID_REQUEST', 'webhook must be an absolute URL');
+  }
+  if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+    throw new ApiError('INVALID_REQUEST', 'webhook must be an http(s) URL');
+  }
+  return url.href;
+}
+
+// What GET /api/jobs/:id returns; the owner and webhook URL stay private
+export function publicJob(job) {
+  const { owner: _owner, webhook, ...rest } = job;
+  return {
+    ...rest,
+    webhook: webhook && { status: webhook.status, deliveredAt: webhook.deliveredAt, error: webhook.error }
+  };
+}
+
+// `target` comes from parseMediaTarget(), `options` from downloadOptions().
+// `origin` is this deployment, for the stream proxy link; `owner` the name of
+// the access token that created the job, if any.
+export async function createJob(env, { target, options, webhook, origin, owner = null }) {
+  const job = {
+    id: crypto.randomUUID(),
+    status: 'queued',
+    request: {
+      site: { id: target.site.id, name: target.site.name },
+      videoId: target.videoId,
+      url: target.url || null,
+      ...options
+    },
+    links: [],
+    error: null,
+    webhook: webhook ? { url: webhook, status: 'pending', deliveredAt: null, error: null } : null,
+    owner,
+    origin,
+    createdAt: new Date().toISOString()
+  };
+  await saveJob(env, job);
+  return job;
+}
+
+// Proxy links don't expire and aren't locked to the provider's IP, so
+// YouTube jobs get one next to the provider's own link. It uses the stream
+// proxy's `q` selection, which serves a format with audio, never the
+// video-only stream of a higher resolution.
+function jobLinks(job, result) {
+  const links = [{ type: 'direct', url: result.url }];
+  const { videoId, quality, audioFormat } = job.request;
+  if (videoId && !audioFormat) {
+    const params = new URLSearchParams({ q: parseInt(quality) || 'max' });
+    links.push({ type: 'proxy', url: `${job.origin}/api/stream/${videoId}?${params}` });
+  }
+  return links;
+}
+
+async function notify(env, job) {
+  const body = JSON.stringify(publicJob(job));
+  const headers = { 'Content-Type': 'application/json', 'User-Agent': 'vibeloader-webhook' };
+  if (env.WEBHOOK_SECRET) {
+    headers['X-Vibeloader-Signature'] = `sha256=${await hmac(env.WEBHOOK_SECRET, body)}`;
+  }
+
+  try {
+    const response = await fetchWithTimeout(job.webhook.url, { method: 'POST', headers, body }, WEBHOOK_TIMEOUT);
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    job.webhook.status = 'delivered';
+    job.webhook.deliveredAt = new Date().toISOString();
+  } catch (err) {
+    console.log(`Webhook for job ${job.id} failed: ${err.message}`);
+    job.webhook.status = 'failed';
+    job.webhook.error = err.message;
+  }
+}
+
+// Meant for context.waitUntil; never rejects
+export async function runJob(context, job, target) {
+  const { env } = context;
+  try {
+    job.status = 'resolving';
+    await saveJob(env, job);
+
+    const { quality, audioFormat } = job.request;
+    const { result, error } = await resolveDownload(context, target, { quality, audioFormat });
+    if (result) {
+      job.status = 'ready';
+      job.links = jobLinks(job, result);
+    } else {
+      job.status = 'failed';
+      job.error = error.toJSON();
+    }
+  } catch (err) {
+    job.status = 'failed';
+    job.error = new ApiError('INTERNAL_ERROR', err.message).toJSON();
+  }
+  job.finishedAt = new Date().toISOString();
+
+  // Pollers see the result right away; the webhook's delivery status is
+  // saved once it has been sent
+  try {
+    await saveJob(env, job);
+  } catch (err) {
+    console.log(`Job ${job.id} not saved: ${err.message}`);
+  }
+  if (job.webhook) {
+    context.waitUntil(notify(env, job)
+      .then(() => saveJob(env, job))
+      .catch(err => console.log(`Job ${job.id} not saved: ${err.message}`)));
+  }
+}
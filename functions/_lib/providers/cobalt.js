@@ -0,0 +1,160 @@
+// Cobalt: resolves a single download (or tunnel) URL, optionally transcoded.
+// Also the only provider for sites other than YouTube.
+import { httpError, BROWSER_USER_AGENT } from '../http.js';
+import { tryInstances } from '../health.js';
+import { extractMeta } from '../extractors.js';
+import { getSite } from '../../../shared/sites.js';
+
+export const DEFAULT_COBALT_INSTANCES = [
+  'https://api.cobalt.tools',
+  'https://cobalt-api.hyper.lol'
+];
+
+function parseResponse(data) {
+  if (data.status === 'stream' || data.status === 'redirect') {
+    return { url: data.url };
+  }
+  if (data.status === 'picker' && data.picker?.length > 0) {
+    return { 
+      url: data.picker[0].url,
+      picker: data.picker.map(p => ({
+        url: p.url,
+        quality: p.quality || 'unknown'
+      }))
+    };
+  }
+  if (data.url) {
+    return { url: data.url };
+  }
+  return null;
+}
+
+// Same shape as the other providers' info; Cobalt resolves a single link, so
+// there is one format (or one per picker entry)
+function buildInfo(result, { quality, audioFormat }) {
+  return {
+    // Requested as H.264 in MP4 (vCodec above)
+    formats: audioFormat ? [] : (result.picker || [{ url: result.url, quality }]).map(p => ({
+      url: p.url,
+      itag: null,
+      type: 'format',
+      container: 'mp4',
+      codec: 'h264',
+      audioCodec: 'aac',
+      quality: p.quality,
+      resolution: parseInt(p.quality) || parseInt(quality) || null,
+      fps: null,
+      hdr: false,
+      hasAudio: true,
+      bitrate: null,
+      size: null
+    })),
+    audioFormats: audioFormat ? [{
+      url: result.url,
+      itag: null,
+      type: 'audio',
+      container: audioFormat,
+      codec: audioFormat,
+      bitrate: 0,
+      size: null
+    }] : [],
+    captions: [],
+    chapters: [],
+    source: 'cobalt'
+  };
+}
+
+export function createCobaltProvider({ instances, timeout, priority, health }) {
+  const provider = {
+    name: 'cobalt',
+    instances,
+    timeout,
+    priority,
+
+    // Any link Cobalt supports (YouTube, Vimeo, SoundCloud, Twitter / X...).
+    // Tried one at a time: each request makes the instance do real work
+    async getUrlDownload(url, { quality, audioFormat } = {}) {
+      return tryInstances(instances, async (instance, signal) => {
+        const response = await fetch(`${instance}/api/json`, {
+          method: 'POST',
+          signal,
+          headers: {
+            'Accept': 'application/json',
+            'Content-Type': 'application/json',
+            'User-Agent': BROWSER_USER_AGENT
+          },
+          body: JSON.stringify({
+            url,
+            vCodec: 'h264',
+            vQuality: quality || 'max',
+            // "Title - Author" instead of the video ID
+            filenamePattern: 'pretty',
+            isAudioOnly: Boolean(audioFormat),
+            aFormat: audioFormat || 'mp3'
+          })
+        });
+
+        if (!response.ok) throw await httpError(response);
+        const data = await response.json();
+        const result = parseResponse(data);
+        if (!result) throw new Error(data.text || 'Unknown error');
+        return result;
+      }, { health, timeout });
+    },
+
+    async getDownload(videoId, options) {
+      return provider.getUrlDownload(`https://www.youtube.com/watch?v=${videoId}`, options);
+    },
+
+    // `site` is the shared/sites.js entry the link belongs to
+    async getUrlInfo(url, site, { quality = 'max', audioFormat } = {}) {
+      // Audio-only sites come back as audio whatever is asked for
+      const format = audioFormat || (site.audioOnly ? 'mp3' : null);
+      const [result, meta] = await Promise.all([
+        provider.getUrlDownload(url, { quality, audioFormat: format }),
+        extractMeta(site, url)
+      ]);
+
+      return {
+        success: true,
+        videoId: null,
+        url,
+        ...meta,
+        views: null,
+        ...buildInfo(result, { quality, audioFormat: format })
+      };
+    },
+
+    // `meta` is previously cached metadata, which saves the oEmbed round trip
+    async getInfo(videoId, { quality = 'max', audioFormat, meta } = {}) {
+      const url = `https://www.youtube.com/watch?v=${videoId}`;
+      const [result, { title, author }] = await Promise.all([
+        provider.getUrlDownload(url, { quality, audioFormat }),
+        meta || extractMeta(getSite('youtube'), url)
+      ]);
+
+      return {
+        success: true,
+        videoId,
+        title,
+        author,
+        duration: meta?.duration,
+        views: meta?.views,
+        thumbnail: meta?.thumbnail || `https://img.youtube.com/vi/${videoId}/maxresdefault.jpg`,
+        ...buildInfo(result, { quality: quality === 'max' ? '1080' : quality, audioFormat })
+      };
+    },
+
+    // For /api/health: /api/serverInfo on Cobalt 7, the root document since 10
+    async probe(instance, signal) {
+      const headers = { 'Accept': 'application/json', 'User-Agent': BROWSER_USER_AGENT };
+      let response = await fetch(`${instance}/api/serverInfo`, { signal, headers });
+      if (response.status === 404) response = await fetch(`${instance}/`, { signal, headers });
+      if (!response.ok) throw await httpError(response);
+      const data = await response.json();
+      return { status: response.status, version: data.cobalt?.version || data.version || null };
+    }
+  };
+
+  return provider;
+}
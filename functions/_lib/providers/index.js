@@ -0,0 +1,72 @@
+// Provider registry shared by every Function.
+//
+// Configuration is resolved per request, highest precedence first:
+//   1. KV binding VIBELOADER_CONFIG, key "providers", JSON such as
+//      { "invidious": { "instances": [...], "timeout": 8000, "priority": 2 },
+//        "ytdlp": { "instances": ["http://10.0.0.5:8000"] },
+//        "cobalt": { "enabled": false } }
+//   2. Environment variables: INVIDIOUS_INSTANCES, COBALT_INSTANCES and
+//      YTDLP_INSTANCES (comma-separated URLs), <NAME>_TIMEOUT (ms) and
+//      PROVIDER_PRIORITY (comma-separated names, first wins)
+//   3. The built-in public instances below
+import { createInvidiousProvider, DEFAULT_INVIDIOUS_INSTANCES } from './invidious.js';
+import { createCobaltProvider, DEFAULT_COBALT_INSTANCES } from './cobalt.js';
+import { createYtdlpProvider } from './ytdlp.js';
+import { noopHealth } from '../health.js';
+
+const PROVIDERS = {
+  ytdlp: { create: createYtdlpProvider, instances: [], timeout: 20000, priority: 0 },
+  invidious: { create: createInvidiousProvider, instances: DEFAULT_INVIDIOUS_INSTANCES, timeout: 12000, priority: 1 },
+  cobalt: { create: createCobaltProvider, instances: DEFAULT_COBALT_INSTANCES, timeout: 20000, priority: 2 }
+};
+
+const splitList = (value) => value
+  .split(',')
+  .map(item => item.trim().replace(/\/+$/, ''))
+  .filter(Boolean);
+
+async function readKvConfig(env) {
+  if (!env?.VIBELOADER_CONFIG) return {};
+  try {
+    return (await env.VIBELOADER_CONFIG.get('providers', 'json')) || {};
+  } catch (err) {
+    console.log(`Provider config in KV is unreadable: ${err.message}`);
+    return {};
+  }
+}
+
+export async function loadProviderConfig(env = {}) {
+  const kvConfig = await readKvConfig(env);
+  const priorityOrder = env.PROVIDER_PRIORITY ? splitList(env.PROVIDER_PRIORITY) : null;
+
+  return Object.entries(PROVIDERS).map(([name, defaults]) => {
+    const prefix = name.toUpperCase();
+    const override = kvConfig[name] || {};
+    const envInstances = env[`${prefix}_INSTANCES`];
+
+    let priority = defaults.priority;
+    if (priorityOrder) {
+      const index = priorityOrder.indexOf(name);
+      priority = index === -1 ? priorityOrder.length + defaults.priority : index;
+    }
+
+    return {
+      name,
+      enabled: override.enabled !== false,
+      instances: override.instances || (envInstances ? splitList(envInstances) : defaults.instances),
+      timeout: Number(override.timeout || env[`${prefix}_TIMEOUT`]) || defaults.timeout,
+      priority: override.priority ?? priority
+    };
+  });
+}
+
+// Enabled providers with at least one instance, best priority first. Pass the
+// request's health tracker so instance attempts are ranked and recorded.
+export async function getProviders(env, { health = noopHealth } = {}) {
+  const config = await loadProviderConfig(env);
+
+  return config
+    .filter(c => c.enabled && c.instances.length > 0)
+    .sort((a, b) => a.priority - b.priority)
+    .map(c => PROVIDERS[c.name].create({ ...c, health }));
+}
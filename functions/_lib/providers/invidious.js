@@ -0,0 +1,343 @@
+// Invidious: metadata plus direct googlevideo links for every format
+import { BROWSER_USER_AGENT, httpError } from '../http.js';
+import { raceInstances } from '../health.js';
+import { parseChapters } from '../chapters.js';
+import { parseCodecs, compareFormats } from '../../../shared/formats.js';
+import { parseHlsMaster, hlsVariantFormat, parseDashManifest } from '../../../shared/manifests.js';
+
+export const DEFAULT_INVIDIOUS_INSTANCES = [
+  'https://invidious.nerdvpn.de',
+  'https://invidious.private.coffee', 
+  'https://invidious.protokolla.fi',
+  'https://yt.artemislena.eu',
+  'https://invidious.perennialte.ch',
+  'https://vid.puffyan.us'
+];
+
+async function fetchJson(url, signal) {
+  const response = await fetch(url, {
+    signal,
+    headers: {
+      'User-Agent': BROWSER_USER_AGENT,
+      'Accept': 'application/json'
+    }
+  });
+  if (!response.ok) throw await httpError(response);
+  return response.json();
+}
+
+// Entry of a playlist or channel listing
+function parseListVideo(v) {
+  return {
+    videoId: v.videoId,
+    title: v.title,
+    author: v.author,
+    duration: v.lengthSeconds,
+    thumbnail: v.videoThumbnails?.find(t => t.quality === 'medium')?.url
+      || `https://img.youtube.com/vi/${v.videoId}/mqdefault.jpg`
+  };
+}
+
+// Channel avatars come protocol-relative ("//yt3.ggpht.com/...")
+const absoluteUrl = (url) => url?.startsWith('//') ? `https:${url}` : url || null;
+
+// Entry of /api/v1/search: { type, id, title, author, thumbnail, ... } where
+// `id` is the video, playlist or channel ID depending on `type`
+function parseSearchResult(r) {
+  if (r.type === 'video') {
+    return {
+      type: 'video',
+      id: r.videoId,
+      ...parseListVideo(r),
+      views: r.viewCount ?? null,
+      published: r.published || null
+    };
+  }
+  if (r.type === 'playlist') {
+    return {
+      type: 'playlist',
+      id: r.playlistId,
+      title: r.title,
+      author: r.author,
+      videoCount: r.videoCount ?? null,
+      thumbnail: absoluteUrl(r.playlistThumbnail)
+        || (r.videos?.[0] ? `https://img.youtube.com/vi/${r.videos[0].videoId}/mqdefault.jpg` : null)
+    };
+  }
+  if (r.type === 'channel') {
+    return {
+      type: 'channel',
+      id: r.authorId,
+      title: r.author,
+      author: r.author,
+      subscribers: r.subCount ?? null,
+      videoCount: r.videoCount ?? null,
+      thumbnail: absoluteUrl(r.authorThumbnails?.[r.authorThumbnails.length - 1]?.url)
+    };
+  }
+  // Shelves, hashtags and whatever else newer instances mix in
+  return null;
+}
+
+// "1920x1080" -> { width: 1920, height: 1080 }
+function parseSize(value) {
+  const [, width, height] = String(value || '').match(/^(\d+)x(\d+)$/) || [];
+  return width ? { width: Number(width), height: Number(height) } : { width: null, height: null };
+}
+
+// One entry of formatStreams (muxed) or adaptiveFormats (video only), in the
+// shape documented in shared/formats.js
+function parseVideoFormat(s, muxed) {
+  const label = s.qualityLabel || s.quality || '';
+  const { width, height } = parseSize(s.size || s.resolution);
+  const codecs = parseCodecs(s.type);
+  return {
+    url: s.url,
+    itag: s.itag,
+    type: muxed ? 'format' : 'adaptive',
+    container: s.container || codecs.container,
+    codec: codecs.codec,
+    audioCodec: muxed ? codecs.audioCodec || 'aac' : null,
+    quality: label,
+    resolution: parseInt(label) || height || 0,
+    width,
+    height,
+    fps: parseInt(s.fps) || parseInt(label.split('p')[1]) || null,
+    hdr: codecs.hdr || /hdr/i.test(label),
+    hasAudio: muxed,
+    bitrate: parseInt(s.bitrate) || null,
+    // formatStreams report `size` as the frame size, not bytes
+    size: parseInt(s.clen || s.contentLength) || null
+  };
+}
+
+// 'live', 'upcoming', 'post_live' (ended, still served from the stream while
+// YouTube processes the recording) or null for ordinary videos
+function liveStatus(data) {
+  if (data.isUpcoming) return 'upcoming';
+  if (data.liveNow) return 'live';
+  if (data.isPostLiveDvr || (data.hlsUrl && !data.formatStreams?.length)) return 'post_live';
+  return null;
+}
+
+// YouTube binds manifest links to the IP that asked for them, i.e. the
+// instance. Its own manifest proxy (local=true) fetches them and points the
+// segments at its /videoplayback proxy.
+function instanceManifest(url, instance) {
+  const { pathname, search } = new URL(url, instance);
+  const local = new URL(`${pathname}${search}`, instance);
+  local.searchParams.set('local', 'true');
+  return local.href;
+}
+
+async function fetchManifest(url, signal) {
+  const response = await fetch(url, { signal, headers: { 'User-Agent': BROWSER_USER_AGENT } });
+  if (!response.ok) throw await httpError(response);
+  return response.text();
+}
+
+// HLS variants of a live or post-live stream, plus the DASH representations
+// when there are no regular formats to fall back on. A manifest that can't be
+// read only costs its formats.
+async function liveFormats(data, instance, { signal, hasFormats }) {
+  const formats = [];
+  if (data.hlsUrl) {
+    try {
+      const masterUrl = instanceManifest(data.hlsUrl, instance);
+      formats.push(...parseHlsMaster(await fetchManifest(masterUrl, signal), masterUrl).map(hlsVariantFormat));
+    } catch (err) {
+      console.log(`HLS manifest from ${instance} unreadable: ${err.message}`);
+    }
+  }
+  if (data.dashUrl && !hasFormats) {
+    try {
+      const manifestUrl = instanceManifest(data.dashUrl, instance);
+      formats.push(...parseDashManifest(await fetchManifest(manifestUrl, signal), manifestUrl));
+    } catch (err) {
+      console.log(`DASH manifest from ${instance} unreadable: ${err.message}`);
+    }
+  }
+  return formats;
+}
+
+function parseVideo(data, videoId, instance) {
+  // Every variant is kept: 1080p60 and 1080p30, VP9, AV1 and H.264, WebM and MP4
+  const formats = [
+    ...(data.formatStreams || []).map(s => parseVideoFormat(s, true)),
+    ...(data.adaptiveFormats || [])
+      .filter(s => s.type?.startsWith('video/'))
+      .map(s => parseVideoFormat(s, false))
+  ].filter(f => f.url && f.resolution > 0);
+
+  const audioFormats = (data.adaptiveFormats || [])
+    .filter(s => s.type?.startsWith('audio/') && s.url)
+    .map(s => {
+      const codec = s.type.includes('opus') ? 'opus' : 'm4a';
+      return {
+        url: s.url,
+        itag: s.itag,
+        type: 'audio',
+        container: codec === 'opus' ? 'webm' : 'm4a',
+        codec,
+        bitrate: parseInt(s.bitrate) || 0,
+        sampleRate: parseInt(s.audioSampleRate) || null,
+        size: parseInt(s.clen || s.contentLength) || null
+      };
+    });
+
+  formats.sort(compareFormats);
+  audioFormats.sort((a, b) => b.bitrate - a.bitrate);
+
+  return {
+    success: true,
+    videoId,
+    title: data.title,
+    author: data.author,
+    duration: data.lengthSeconds,
+    views: data.viewCount,
+    description: data.description || '',
+    // Unix seconds
+    published: data.published || null,
+    tags: data.keywords || [],
+    channelId: data.authorId || null,
+    liveStatus: liveStatus(data),
+    // Upcoming streams and premieres, unix seconds
+    startsAt: data.premiereTimestamp || null,
+    thumbnail: data.videoThumbnails?.[0]?.url || `https://img.youtube.com/vi/${videoId}/maxresdefault.jpg`,
+    formats,
+    audioFormats,
+    captions: (data.captions || []).map(c => ({
+      label: c.label,
+      language: c.language_code || c.languageCode,
+      autoGenerated: /auto-generated/i.test(c.label)
+    })),
+    chapters: parseChapters(data),
+    source: 'invidious',
+    instance
+  };
+}
+
+export function createInvidiousProvider({ instances, timeout, priority, health }) {
+  return {
+    name: 'invidious',
+    instances,
+    timeout,
+    priority,
+
+    // Instances are raced; a slow or dead one no longer delays the others
+    async getInfo(videoId) {
+      return raceInstances(instances, async (instance, signal) => {
+        const data = await fetchJson(`${instance}/api/v1/videos/${videoId}`, signal);
+        const info = parseVideo(data, videoId, instance);
+        if (info.liveStatus === 'live' || info.liveStatus === 'post_live') {
+          const manifests = await liveFormats(data, instance, { signal, hasFormats: info.formats.length > 0 });
+          info.formats = [...info.formats, ...manifests.filter(f => f.type !== 'audio')].sort(compareFormats);
+          info.audioFormats = [...info.audioFormats, ...manifests.filter(f => f.type === 'audio')];
+        }
+        return info;
+      }, { health, timeout });
+    },
+
+    // WebVTT text of one caption track, picked by label (exact) or language code
+    async getCaptions(videoId, { label, language } = {}) {
+      return raceInstances(instances, async (instance, signal) => {
+        const query = label ? `label=${encodeURIComponent(label)}` : `lang=${encodeURIComponent(language)}`;
+        const response = await fetch(`${instance}/api/v1/captions/${videoId}?${query}`, {
+          signal,
+          headers: { 'User-Agent': BROWSER_USER_AGENT }
+        });
+        if (!response.ok) throw await httpError(response);
+        const vtt = await response.text();
+        if (!vtt.startsWith('WEBVTT')) throw new Error('Not a caption track');
+        return vtt;
+      }, { health, timeout });
+    },
+
+    // `page` is the 1-based page number
+    async getPlaylist(listId, { page = 1 } = {}) {
+      const pageNumber = parseInt(page) || 1;
+      const data = await raceInstances(instances, (instance, signal) =>
+        fetchJson(`${instance}/api/v1/playlists/${listId}?page=${pageNumber}`, signal),
+        { health, timeout });
+      const videos = (data.videos || []).map(parseListVideo);
+      const lastIndex = data.videos?.length ? data.videos[data.videos.length - 1].index : null;
+
+      return {
+        success: true,
+        type: 'playlist',
+        id: listId,
+        title: data.title,
+        author: data.author,
+        videoCount: data.videoCount,
+        thumbnail: videos[0]?.thumbnail || null,
+        videos,
+        nextPage: lastIndex !== null && lastIndex + 1 < data.videoCount ? String(pageNumber + 1) : null
+      };
+    },
+
+    // `channelId` is a UC... id or a channel path (@handle, c/name, user/name);
+    // `page` is an opaque continuation token
+    async getChannel(channelId, { page } = {}) {
+      return raceInstances(instances, async (instance, signal) => {
+        let ucid = channelId;
+        if (!/^UC[\w-]{22}$/.test(channelId)) {
+          const resolved = await fetchJson(
+            `${instance}/api/v1/resolveurl?url=${encodeURIComponent(`https://www.youtube.com/${channelId}`)}`,
+            signal
+          );
+          if (!resolved.ucid) throw new Error(`Could not resolve ${channelId}`);
+          ucid = resolved.ucid;
+        }
+
+        const continuation = page ? `?continuation=${encodeURIComponent(page)}` : '';
+        const [channel, list] = await Promise.all([
+          fetchJson(`${instance}/api/v1/channels/${ucid}`, signal),
+          fetchJson(`${instance}/api/v1/channels/${ucid}/videos${continuation}`, signal)
+        ]);
+
+        return {
+          success: true,
+          type: 'channel',
+          id: ucid,
+          title: channel.author,
+          author: channel.author,
+          videoCount: null,
+          thumbnail: channel.authorThumbnails?.[channel.authorThumbnails.length - 1]?.url || null,
+          videos: (list.videos || []).map(parseListVideo),
+          nextPage: list.continuation || null
+        };
+      }, { health, timeout });
+    },
+
+    // `type` is all, video, playlist or channel; `duration` short (< 4 min),
+    // medium or long (> 20 min); `page` is the 1-based page number
+    async search(query, { type = 'all', duration, page = 1 } = {}) {
+      const pageNumber = parseInt(page) || 1;
+      const params = new URLSearchParams({ q: query, type, page: String(pageNumber) });
+      if (duration) params.set('duration', duration);
+
+      const data = await raceInstances(instances, (instance, signal) =>
+        fetchJson(`${instance}/api/v1/search?${params}`, signal),
+        { health, timeout });
+
+      return {
+        success: true,
+        query,
+        results: (Array.isArray(data) ? data : []).map(parseSearchResult).filter(Boolean),
+        // Invidious doesn't say how many pages there are; an empty one ends it
+        nextPage: Array.isArray(data) && data.length > 0 ? String(pageNumber + 1) : null
+      };
+    },
+
+    // For /api/health: the instance's own stats endpoint, which names the version
+    async probe(instance, signal) {
+      const response = await fetch(`${instance}/api/v1/stats`, {
+        signal,
+        headers: { 'User-Agent': BROWSER_USER_AGENT, 'Accept': 'application/json' }
+      });
+      if (!response.ok) throw await httpError(response);
+      const stats = await response.json();
+      return { status: response.status, version: stats.software?.version || null };
+    }
+  };
+}
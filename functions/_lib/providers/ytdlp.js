@@ -0,0 +1,97 @@
+// Self-hosted yt-dlp API (the Proxmox service the UI was originally built for)
+import { tryInstances } from '../health.js';
+
+const YTDLP_CODECS = { avc1: 'h264', vp09: 'vp9', vp9: 'vp9', av01: 'av1' };
+
+// yt-dlp's download protocols; plain http(s) files have none in our schema
+const YTDLP_PROTOCOLS = { m3u8: 'hls', m3u8_native: 'hls', http_dash_segments: 'dash' };
+
+// yt-dlp's live_status values, as liveStatus in /api/info
+const YTDLP_LIVE_STATUS = { is_live: 'live', is_upcoming: 'upcoming', post_live: 'post_live' };
+
+// yt-dlp's own format fields (format_id, ext, vcodec, filesize...) in the
+// shape documented in shared/formats.js
+function normalizeFormat(f) {
+  const hasVideo = f.vcodec && f.vcodec !== 'none';
+  const hasAudio = f.acodec ? f.acodec !== 'none' : f.hasAudio ?? true;
+  const protocol = YTDLP_PROTOCOLS[f.protocol] || (['hls', 'dash'].includes(f.protocol) ? f.protocol : null);
+  const isAudio = !hasVideo && Boolean(f.vcodec);
+  const audioCodec = f.acodec?.startsWith('opus') ? 'opus' : 'aac';
+  return {
+    url: f.url,
+    itag: f.itag ?? (/^\d+$/.test(f.format_id) ? Number(f.format_id) : f.format_id ?? null),
+    ...(protocol && { protocol }),
+    // yt-dlp only marks DASH formats it has to fetch in segments
+    ...(protocol === 'dash' && { segmented: f.segmented ?? true }),
+    type: isAudio ? 'audio' : hasAudio ? 'format' : 'adaptive',
+    container: f.container || (protocol === 'hls' ? 'ts' : f.ext) || 'mp4',
+    codec: f.codec || (isAudio ? (audioCodec === 'opus' ? 'opus' : 'm4a') : YTDLP_CODECS[f.vcodec?.split('.')[0]] || null),
+    audioCodec: !isAudio && hasAudio && f.acodec ? audioCodec : null,
+    quality: f.quality || f.format_note || (f.height ? `${f.height}p` : null),
+    resolution: f.resolution > 0 ? f.resolution : f.height || null,
+    fps: f.fps || null,
+    hdr: f.hdr ?? Boolean(f.dynamic_range && f.dynamic_range !== 'SDR'),
+    hasAudio,
+    bitrate: f.bitrate || (f.tbr ? Math.round(f.tbr * 1000) : null),
+    size: f.size || f.filesize || f.filesize_approx || null,
+    ...(isAudio && { sampleRate: f.sampleRate || f.asr || null })
+  };
+}
+
+export function createYtdlpProvider({ instances, timeout, priority, health }) {
+  return {
+    name: 'ytdlp',
+    instances,
+    timeout,
+    priority,
+
+    async getInfo(videoId) {
+      return tryInstances(instances, async (instance, signal) => {
+        const response = await fetch(`${instance}/api/info?v=${videoId}`, {
+          signal,
+          headers: { 'Accept': 'application/json' }
+        });
+        const data = await response.json();
+
+        if (!response.ok || !data.success) {
+          const err = new Error(data.detail || data.error || `HTTP ${response.status}`);
+          err.status = response.status;
+          throw err;
+        }
+        // yt-dlp lists audio-only streams among its formats
+        const normalized = (data.formats || []).map(normalizeFormat);
+        return {
+          ...data,
+          formats: normalized.filter(f => f.type !== 'audio'),
+          audioFormats: [...(data.audioFormats || []), ...normalized.filter(f => f.type === 'audio')]
+            .sort((a, b) => (b.bitrate || 0) - (a.bitrate || 0)),
+          liveStatus: data.liveStatus ?? YTDLP_LIVE_STATUS[data.live_status] ?? null,
+          startsAt: data.startsAt ?? data.release_timestamp ?? null,
+          videoId,
+          source: 'ytdlp',
+          instance
+        };
+      }, { health, timeout });
+    },
+
+    // The service streams the muxed file itself, so the link is deterministic
+    async getDownload(videoId, { quality, audioFormat } = {}) {
+      if (audioFormat) throw new Error('yt-dlp provider does not transcode audio');
+      const [instance] = health.rank(instances);
+      if (!instance) throw new Error('No yt-dlp instances configured');
+      return { url: `${instance}/api/stream/${videoId}?q=${parseInt(quality) || 'max'}` };
+    },
+
+    // For /api/health: any answer from the service counts, the version if it says
+    async probe(instance, signal) {
+      const response = await fetch(`${instance}/`, { signal, headers: { 'Accept': 'application/json' } });
+      if (response.status >= 500) {
+        const err = new Error(`HTTP ${response.status}`);
+        err.status = response.status;
+        throw err;
+      }
+      const data = await response.json().catch(() => null);
+      return { status: response.status, version: data?.version || null };
+    }
+  };
+}
@@ -0,0 +1,168 @@
+// Per-client token buckets for the API.
+//
+// Buckets live in the KV binding VIBELOADER_RATELIMIT (one key per client,
+// expiring once the bucket would be full again) when it is configured,
+// otherwise in isolate memory. KV is eventually consistent, so bursts spread
+// across data centers can exceed the limit slightly; it is meant to stop
+// someone using the deployment as a free proxy, not to meter exactly.
+//
+// Configuration (environment variables):
+//   RATE_LIMIT_PER_MINUTE        sustained requests per minute per IP (60, 0 disables)
+//   RATE_LIMIT_BURST             requests an IP can make at once (30)
+//   RATE_LIMIT_TOKEN_PER_MINUTE  the same per access token (RATE_LIMIT_PER_MINUTE)
+//   RATE_LIMIT_TOKEN_BURST       (RATE_LIMIT_BURST)
+//   RATE_LIMIT_HLS_PER_MINUTE    /api/hls requests per minute per client (600,
+//                                0 disables); a recording fetches a playlist
+//                                and a segment every few seconds, so they get
+//                                a bucket of their own
+//   RATE_LIMIT_HLS_BURST         (120)
+// Access tokens can override these and add a daily quota (see _lib/auth.js).
+const DEFAULT_PER_MINUTE = 60;
+const DEFAULT_BURST = 30;
+const DEFAULT_HLS_PER_MINUTE = 600;
+const DEFAULT_HLS_BURST = 120;
+// KV rejects shorter expirations
+const MIN_KV_TTL = 60;
+
+// Isolate-memory fallback: key -> { value, expiresAt }. Expired entries are
+// swept on write, at most once per interval, so the map holds only the
+// clients of the last few minutes and today's quota counters.
+const memoryStore = new Map();
+const SWEEP_INTERVAL = 60 * 1000;
+let lastSweep = 0;
+
+function memoryGet(key, now = Date.now()) {
+  const entry = memoryStore.get(key);
+  return entry && entry.expiresAt > now ? entry.value : null;
+}
+
+function memorySet(key, value, ttl, now = Date.now()) {
+  memoryStore.set(key, { value, expiresAt: now + ttl * 1000 });
+  if (now - lastSweep < SWEEP_INTERVAL) return;
+  lastSweep = now;
+  for (const [storedKey, entry] of memoryStore) {
+    if (entry.expiresAt <= now) memoryStore.delete(storedKey);
+  }
+}
+
+const numberOr = (value, fallback) => {
+  const number = Number(value);
+  return value !== undefined && value !== '' && Number.isFinite(number) ? number : fallback;
+};
+
+export function loadLimits(env = {}) {
+  const perMinute = numberOr(env.RATE_LIMIT_PER_MINUTE, DEFAULT_PER_MINUTE);
+  const burst = numberOr(env.RATE_LIMIT_BURST, DEFAULT_BURST);
+  return {
+    ip: { perMinute, burst },
+    token: {
+      perMinute: numberOr(env.RATE_LIMIT_TOKEN_PER_MINUTE, perMinute),
+      burst: numberOr(env.RATE_LIMIT_TOKEN_BURST, burst)
+    },
+    hls: {
+      perMinute: numberOr(env.RATE_LIMIT_HLS_PER_MINUTE, DEFAULT_HLS_PER_MINUTE),
+      burst: numberOr(env.RATE_LIMIT_HLS_BURST, DEFAULT_HLS_BURST)
+    }
+  };
+}
+
+// Refill `bucket` up to `now` and take one token. Returns the new bucket and,
+// when it was empty, how many seconds until a token is available.
+export function takeToken(bucket, { perMinute, burst }, now = Date.now()) {
+  const rate = perMinute / 60000;
+  const tokens = bucket
+    ? Math.min(burst, bucket.tokens + (now - bucket.updatedAt) * rate)
+    : burst;
+
+  if (tokens < 1) {
+    return {
+      bucket: { tokens, updatedAt: now },
+      allowed: false,
+      remaining: 0,
+      retryAfter: Math.ceil((1 - tokens) / rate / 1000)
+    };
+  }
+  return {
+    bucket: { tokens: tokens - 1, updatedAt: now },
+    allowed: true,
+    remaining: Math.floor(tokens - 1),
+    retryAfter: 0
+  };
+}
+
+// `key` identifies the client, e.g. "ip:203.0.113.7"; `limits` is one of the
+// entries of loadLimits(). Resolves to the takeToken() result, or null when
+// rate limiting is disabled for it.
+export async function consume(env, key, limits) {
+  if (!limits.perMinute || limits.perMinute <= 0) return null;
+
+  const kv = env?.VIBELOADER_RATELIMIT;
+  let bucket = null;
+  if (kv) {
+    try {
+      bucket = await kv.get(`bucket:${key}`, 'json');
+    } catch (err) {
+      console.log(`Rate limit bucket unreadable: ${err.message}`);
+    }
+  } else {
+    bucket = memoryGet(`bucket:${key}`);
+  }
+
+  const result = takeToken(bucket, limits);
+  // Once full again the bucket is the same as a missing one
+  const ttl = Math.ceil((limits.burst - result.bucket.tokens) / limits.perMinute * 60);
+
+  if (kv) {
+    try {
+      await kv.put(`bucket:${key}`, JSON.stringify(result.bucket), {
+        expirationTtl: Math.max(MIN_KV_TTL, ttl)
+      });
+    } catch (err) {
+      console.log(`Rate limit bucket not saved: ${err.message}`);
+    }
+  } else {
+    memorySet(`bucket:${key}`, result.bucket, Math.max(1, ttl));
+  }
+
+  return result;
+}
+
+// Count one request against a daily quota (UTC days). Resolves to
+// { allowed, remaining, retryAfter }, or null when `quota` is unset.
+export async function countDaily(env, key, quota, now = Date.now()) {
+  if (!quota || quota <= 0) return null;
+
+  const day = new Date(now).toISOString().slice(0, 10);
+  const storeKey = `quota:${key}:${day}`;
+  const kv = env?.VIBELOADER_RATELIMIT;
+  let used = 0;
+  if (kv) {
+    try {
+      used = Number(await kv.get(storeKey)) || 0;
+    } catch (err) {
+      console.log(`Quota counter unreadable: ${err.message}`);
+    }
+  } else {
+    used = memoryGet(storeKey, now) || 0;
+  }
+
+  const retryAfter = Math.ceil((Date.parse(`${day}T00:00:00Z`) + 86400000 - now) / 1000);
+  if (used >= quota) return { allowed: false, remaining: 0, retryAfter };
+
+  if (kv) {
+    try {
+      await kv.put(storeKey, String(used + 1), { expirationTtl: 2 * 86400 });
+    } catch (err) {
+      console.log(`Quota counter not saved: ${err.message}`);
+    }
+  } else {
+    memorySet(storeKey, used + 1, retryAfter, now);
+  }
+  return { allowed: true, remaining: quota - used - 1, retryAfter: 0 };
+}
+
+// Client address as seen by Cloudflare
+export const clientIp = (request) =>
+  request.headers.get('CF-Connecting-IP')
+  || request.headers.get('X-Forwarded-For')?.split(',')[0].trim()
+  || 'unknown';
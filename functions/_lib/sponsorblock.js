@@ -0,0 +1,61 @@
+// SponsorBlock lookup for /api/info. SPONSORBLOCK_API points it at a mirror
+// (e.g. a local sb-mirror at http://10.0.0.5:8080) or turns it off with "off";
+// the public API is the default.
+import { fetchWithTimeout } from './http.js';
+import { getCachedSegments, putCachedSegments } from './cache.js';
+import { SPONSOR_CATEGORIES } from '../../shared/sponsorblock.js';
+
+export const DEFAULT_SPONSORBLOCK_API = 'https://sponsor.ajay.app';
+const SPONSORBLOCK_TIMEOUT = 5000;
+
+export function sponsorBlockApi(env = {}) {
+  const value = (env.SPONSORBLOCK_API || DEFAULT_SPONSORBLOCK_API).trim().replace(/\/+$/, '');
+  return value === 'off' ? null : value;
+}
+
+// Resolves to the segments in the shape of shared/sponsorblock.js, [] when
+// the video has none, or null when the API is off or unreachable: segments
+// are extra, so this never fails the request
+export async function getSponsorSegments(context, videoId) {
+  const api = sponsorBlockApi(context.env);
+  if (!api) return null;
+
+  const cached = await getCachedSegments(videoId);
+  if (cached) return cached;
+
+  const params = new URLSearchParams({
+    videoID: videoId,
+    categories: JSON.stringify(Object.keys(SPONSOR_CATEGORIES)),
+    // Mute segments keep the picture, so they aren't cut
+    actionTypes: JSON.stringify(['skip'])
+  });
+
+  try {
+    const response = await fetchWithTimeout(`${api}/api/skipSegments?${params}`, {
+      headers: { 'Accept': 'application/json' }
+    }, SPONSORBLOCK_TIMEOUT);
+
+    // 404 is SponsorBlock's answer for "no segments"
+    let segments = [];
+    if (response.ok) {
+      segments = (await response.json())
+        .map(s => ({
+          category: s.category,
+          start: s.segment[0],
+          end: s.segment[1],
+          uuid: s.UUID,
+          votes: s.votes ?? 0
+        }))
+        .filter(s => s.end > s.start)
+        .sort((a, b) => a.start - b.start);
+    } else if (response.status !== 404) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+
+    context.waitUntil(putCachedSegments(videoId, segments));
+    return segments;
+  } catch (err) {
+    console.log(`SponsorBlock failed: ${err.message}`);
+    return null;
+  }
+}
@@ -0,0 +1,53 @@
+// WebVTT -> SRT / plain text conversion for /api/captions
+
+// Cue timing line: "00:00:01.000 --> 00:00:04.000 align:start position:0%"
+const TIMING = /^((?:\d+:)?\d{2}:\d{2}\.\d{3})\s+-->\s+((?:\d+:)?\d{2}:\d{2}\.\d{3})/;
+
+// Inline markup: <c>, <i>, voice spans and YouTube's per-word <00:00:01.500> timestamps
+const stripTags = (text) => text.replace(/<[^>]+>/g, '').replace(/&amp;/g, '&').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&nbsp;/g, ' ');
+
+export function parseVtt(vtt) {
+  const cues = [];
+  const blocks = vtt.replace(/\r/g, '').split(/\n{2,}/);
+
+  for (const block of blocks) {
+    const lines = block.split('\n');
+    const timingIndex = lines.findIndex(line => TIMING.test(line));
+    if (timingIndex === -1) continue;
+
+    const [, start, end] = lines[timingIndex].match(TIMING);
+    const text = lines
+      .slice(timingIndex + 1)
+      .map(line => stripTags(line).trim())
+      .filter(Boolean)
+      .join('\n');
+
+    if (text) cues.push({ start, end, text });
+  }
+
+  return cues;
+}
+
+// SRT wants hours and a comma: 01:02.500 -> 00:01:02,500
+const srtTime = (time) => {
+  const full = time.split(':').length === 2 ? `00:${time}` : time;
+  return full.replace('.', ',');
+};
+
+export function vttToSrt(vtt) {
+  return parseVtt(vtt)
+    .map((cue, index) => `${index + 1}\n${srtTime(cue.start)} --> ${srtTime(cue.end)}\n${cue.text}\n`)
+    .join('\n');
+}
+
+// Auto-generated tracks repeat the previous line in every cue, so drop
+// lines that were already emitted just before
+export function vttToText(vtt) {
+  const lines = [];
+  for (const cue of parseVtt(vtt)) {
+    for (const line of cue.text.split('\n')) {
+      if (line !== lines[lines.length - 1]) lines.push(line);
+    }
+  }
+  return lines.join('\n') + '\n';
+}
@@ -0,0 +1,112 @@
+// Video info lookup shared by /api/info and the stream proxy: edge cache first,
+// then the providers in priority order
+import { getProviders } from './providers/index.js';
+import { createHealthTracker } from './health.js';
+import { getCachedInfo, getCachedMeta, putCachedInfo } from './cache.js';
+import { providerAttempts, summarizeAttempts } from './errors.js';
+import { ApiError } from '../../shared/errors.js';
+import { parseVideoParam } from '../../shared/youtube.js';
+import { detectSite, getSite } from '../../shared/sites.js';
+
+// Accepts a bare video ID or any YouTube video link and returns
+// { videoId, playlistId, start }; throws INVALID_REQUEST/INVALID_ID otherwise
+export function parseVideoTarget(value) {
+  if (!value) throw new ApiError('INVALID_REQUEST', 'Video ID required');
+  const target = parseVideoParam(value);
+  if (!target) throw new ApiError('INVALID_ID', 'Not a YouTube video ID or link', { input: String(value).slice(0, 200) });
+  return target;
+}
+
+// `v` (YouTube ID or link) or `url` (a link from any supported site). YouTube
+// links resolve to { site, videoId, playlistId, start }, others to { site, url }.
+export function parseMediaTarget({ v, url }) {
+  if (!url) return { site: getSite('youtube'), ...parseVideoTarget(v) };
+
+  const video = parseVideoParam(url);
+  if (video) return { site: getSite('youtube'), ...video };
+
+  const site = detectSite(url);
+  if (!site) throw new ApiError('UNSUPPORTED_SITE', undefined, { input: String(url).slice(0, 200) });
+  // A YouTube link that isn't a video (playlists have their own endpoint)
+  if (site.id === 'youtube') throw new ApiError('INVALID_ID', undefined, { input: String(url).slice(0, 200) });
+
+  return {
+    site,
+    url: /^https?:\/\//i.test(url) ? url : `https://${url}`,
+    videoId: null,
+    playlistId: null,
+    start: null
+  };
+}
+
+// Resolves to { info, cached, error }; when every provider failed, info is
+// null and error is an ApiError that explains why
+export async function resolveVideoInfo(context, videoId, { quality = 'max', audioFormat = null, fresh = false } = {}) {
+  const cacheKey = `${videoId}?q=${quality}&audio=${audioFormat || ''}`;
+
+  if (!fresh) {
+    const cached = await getCachedInfo(cacheKey);
+    if (cached) return { info: cached, cached: true };
+  }
+
+  const health = await createHealthTracker(context.env).load();
+  const providers = await getProviders(context.env, { health });
+  const meta = await getCachedMeta(videoId);
+  const attempts = [];
+  let info = null;
+
+  for (const provider of providers) {
+    if (!provider.getInfo) continue;
+    try {
+      info = await provider.getInfo(videoId, { quality, audioFormat, meta });
+      break;
+    } catch (err) {
+      console.log(`${provider.name} failed: ${err.message}`);
+      attempts.push(...providerAttempts(provider, err));
+    }
+  }
+
+  context.waitUntil(health.save());
+  if (info) {
+    context.waitUntil(putCachedInfo(cacheKey, info));
+  }
+
+  const error = info ? null : summarizeAttempts(attempts, {
+    fallbackUrl: `https://ssyoutube.com/watch?v=${videoId}`
+  });
+  return { info, cached: false, error };
+}
+
+// Same for a link from another site (see shared/sites.js), which only
+// providers with getUrlInfo (Cobalt) can resolve
+export async function resolveUrlInfo(context, url, site, { quality = 'max', audioFormat = null, fresh = false } = {}) {
+  const cacheKey = `url/${encodeURIComponent(url)}?q=${quality}&audio=${audioFormat || ''}`;
+
+  if (!fresh) {
+    const cached = await getCachedInfo(cacheKey);
+    if (cached) return { info: cached, cached: true };
+  }
+
+  const health = await createHealthTracker(context.env).load();
+  const providers = await getProviders(context.env, { health });
+  const attempts = [];
+  let info = null;
+
+  for (const provider of providers) {
+    if (!provider.getUrlInfo) continue;
+    try {
+      info = await provider.getUrlInfo(url, site, { quality, audioFormat });
+      break;
+    } catch (err) {
+      console.log(`${provider.name} failed: ${err.message}`);
+      attempts.push(...providerAttempts(provider, err));
+    }
+  }
+
+  context.waitUntil(health.save());
+  if (info) {
+    context.waitUntil(putCachedInfo(cacheKey, info));
+  }
+
+  return { info, cached: false, error: info ? null : summarizeAttempts(attempts) };
+}
@@ -0,0 +1,72 @@
+// Runs in front of every /api Function: CORS (see _lib/cors.js), access
+// tokens (see _lib/auth.js) and rate limits (see _lib/rateLimit.js)
+import { corsHeaders, isOriginAllowed } from '../_lib/cors.js';
+import { authenticate } from '../_lib/auth.js';
+import { consume, countDaily, loadLimits, clientIp } from '../_lib/rateLimit.js';
+import { errorResponse } from '../_lib/errors.js';
+import { ApiError } from '../../shared/errors.js';
+
+export async function onRequest(context) {
+  const { request, env } = context;
+  const cors = corsHeaders(request, env);
+
+  if (!isOriginAllowed(request, env)) {
+    return errorResponse(new ApiError('ORIGIN_NOT_ALLOWED'));
+  }
+  if (request.method === 'OPTIONS') {
+    return new Response(null, { status: 204, headers: cors });
+  }
+
+  const { required, token } = await authenticate(request, env);
+  if (required && !token) {
+    return errorResponse(new ApiError('UNAUTHORIZED'), { ...cors, 'WWW-Authenticate': 'Bearer' });
+  }
+  // Available to the Functions as context.data.token (POST /api/session needs it)
+  context.data.token = token;
+
+  // Token holders share a bucket per token wherever they connect from;
+  // everyone else gets one per IP. HLS playlists and segments (a recording
+  // makes hundreds) have their own bucket and don't count against the quota.
+  const defaults = loadLimits(env);
+  const hls = new URL(request.url).pathname === '/api/hls';
+  const client = token ? `token:${token.name}` : `ip:${clientIp(request)}`;
+  const key = hls ? `hls:${client}` : client;
+  const limits = hls
+    ? defaults.hls
+    : token
+      ? { perMinute: token.perMinute ?? defaults.token.perMinute, burst: token.burst ?? defaults.token.burst }
+      : defaults.ip;
+
+  const bucket = await consume(env, key, limits);
+  if (bucket && !bucket.allowed) {
+    return errorResponse(new ApiError('RATE_LIMITED', undefined, { retryAfter: bucket.retryAfter }), {
+      ...cors,
+      'Retry-After': String(bucket.retryAfter)
+    });
+  }
+
+  // Only requests that got through count against the daily quota
+  const quota = token && !hls && await countDaily(env, key, token.dailyQuota);
+  if (quota && !quota.allowed) {
+    return errorResponse(new ApiError('QUOTA_EXCEEDED', undefined, { retryAfter: quota.retryAfter }), {
+      ...cors,
+      'Retry-After': String(quota.retryAfter)
+    });
+  }
+
+  const response = await context.next();
+
+  // Copied because responses from fetch() have immutable headers
+  const headers = new Headers(response.headers);
+  for (const [name, value] of Object.entries(cors)) headers.set(name, value);
+  if (bucket) {
+    headers.set('X-RateLimit-Limit', String(limits.perMinute));
+    headers.set('X-RateLimit-Remaining', String(bucket.remaining));
+  }
+  if (quota) headers.set('X-Quota-Remaining', String(quota.remaining));
+  return new Response(response.body, {
+    status: response.status,
+    statusText: response.statusText,
+    headers
+  });
+}
@@ -0,0 +1,88 @@
+// Cloudflare Function: one caption track as WebVTT, SRT or plain text
+//
+//   GET /api/captions?v=ID&label=English%20(auto-generated)&format=srt
+//   GET /api/captions?v=ID&lang=de&format=txt
+import { getProviders } from '../_lib/providers/index.js';
+import { createHealthTracker } from '../_lib/health.js';
+import { vttToSrt, vttToText } from '../_lib/subtitles.js';
+import { providerAttempts, summarizeAttempts, errorResponse } from '../_lib/errors.js';
+import { parseVideoTarget } from '../_lib/videoInfo.js';
+import { ApiError } from '../../shared/errors.js';
+import { sanitizeFilename } from '../../shared/filenames.js';
+
+const FORMATS = {
+  vtt: { type: 'text/vtt', convert: (vtt) => vtt },
+  srt: { type: 'application/x-subrip', convert: vttToSrt },
+  txt: { type: 'text/plain', convert: vttToText }
+};
+
+export async function onRequestGet(context) {
+  const url = new URL(context.request.url);
+  const label = url.searchParams.get('label');
+  const language = url.searchParams.get('lang');
+  const format = url.searchParams.get('format') || 'vtt';
+
+  const headers = {
+    'Content-Type': 'application/json'
+  };
+
+  if (!label && !language) {
+    return errorResponse(
+      new ApiError('INVALID_REQUEST', 'Caption label or language required'),
+      headers
+    );
+  }
+
+  // Language codes such as 'en', 'pt-BR' or 'zh-Hans'; the value ends up in
+  // the file name
+  if (language && !/^[\w-]+$/.test(language)) {
+    return errorResponse(new ApiError('INVALID_REQUEST', 'Invalid caption language'), headers);
+  }
+
+  let videoId;
+  try {
+    ({ videoId } = parseVideoTarget(url.searchParams.get('v')));
+  } catch (err) {
+    return errorResponse(err, headers);
+  }
+
+  if (!FORMATS[format]) {
+    return errorResponse(new ApiError(
+      'INVALID_REQUEST',
+      `Format must be one of: ${Object.keys(FORMATS).join(', ')}`
+    ), headers);
+  }
+
+  const health = await createHealthTracker(context.env).load();
+  const providers = await getProviders(context.env, { health });
+  const attempts = [];
+  let vtt = null;
+
+  for (const provider of providers) {
+    if (!provider.getCaptions) continue;
+    try {
+      vtt = await provider.getCaptions(videoId, { label, language });
+      break;
+    } catch (err) {
+      console.log(`${provider.name} failed: ${err.message}`);
+      attempts.push(...providerAttempts(provider, err));
+    }
+  }
+
+  context.waitUntil(health.save());
+
+  if (!vtt) {
+    return errorResponse(summarizeAttempts(attempts), headers);
+  }
+
+  const { type, convert } = FORMATS[format];
+  const filename = sanitizeFilename(`${videoId}.${language || label.replace(/[^\w-]+/g, '_')}.${format}`);
+
+  return new Response(convert(vtt), {
+    headers: {
+      'Content-Type': `${type}; charset=utf-8`,
+      'Content-Disposition': `attachment; filename="${filename}"`,
+      'Cache-Control': 'public, max-age=86400'
+    }
+  });
+}
@@ -1,106 +1,51 @@
-// Cloudflare Function for downloading via Cobalt API
-const COBALT_INSTANCES = [
-  'https://api.cobalt.tools',
-  'https://cobalt-api.hyper.lol'
-];
+// Cloudflare Function for resolving a download link via the configured providers
+import { downloadOptions, resolveDownload } from '../_lib/download.js';
+import { errorResponse } from '../_lib/errors.js';
+import { parseMediaTarget } from '../_lib/videoInfo.js';
+import { ApiError } from '../../shared/errors.js';
 
 export async function onRequestPost(context) {
   const headers = {
-    'Content-Type': 'application/json',
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type'
+    'Content-Type': 'application/json'
   };
 
+  let body;
   try {
-    const { videoId, quality } = await context.request.json();
+    body = await context.request.json();
+  } catch {
+    body = null;
+  }
+  if (!body || typeof body !== 'object') {
+    return errorResponse(new ApiError('INVALID_REQUEST', 'Body must be a JSON object'), headers);
+  }
 
-    if (!videoId) {
-      return new Response(JSON.stringify({ error: 'Video ID is required' }), { 
-        status: 400, headers 
-      });
+  try {
+    // `videoId` may be a bare ID or any link a user would paste; `url` a link
+    // from any site in shared/sites.js
+    let target;
+    let options;
+    try {
+      target = parseMediaTarget({ v: body.videoId, url: body.url });
+      options = downloadOptions(body, target.site);
+    } catch (err) {
+      return errorResponse(err, headers);
     }
 
-    const youtubeUrl = `https://www.youtube.com/watch?v=${videoId}`;
-    let lastError = null;
-
-    for (const instance of COBALT_INSTANCES) {
-      try {
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), 20000);
-
-        const response = await fetch(`${instance}/api/json`, {
-          method: 'POST',
-          signal: controller.signal,
-          headers: {
-            'Accept': 'application/json',
-            'Content-Type': 'application/json',
-            'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-          },
-          body: JSON.stringify({
-            url: youtubeUrl,
-            vCodec: 'h264',
-            vQuality: quality || '1080',
-            filenamePattern: 'basic',
-            isAudioOnly: false,
-            aFormat: 'mp3'
-          })
-        });
-
-        clearTimeout(timeoutId);
-
-        if (response.ok) {
-          const data = await response.json();
-          
-          if (data.status === 'stream' || data.status === 'redirect') {
-            return new Response(JSON.stringify({ 
-              success: true, 
-              url: data.url 
-            }), { headers });
-          } else if (data.status === 'picker' && data.picker?.length > 0) {
-            return new Response(JSON.stringify({ 
-              success: true, 
-              url: data.picker[0].url 
-            }), { headers });
-          } else if (data.url) {
-            return new Response(JSON.stringify({ 
-              success: true, 
-              url: data.url 
-            }), { headers });
-          }
-          
-          lastError = `${instance}: ${data.text || 'Unknown error'}`;
-        } else {
-          lastError = `${instance}: HTTP ${response.status}`;
-        }
-      } catch (err) {
-        lastError = `${instance}: ${err.message}`;
-      }
+    const { result, error } = await resolveDownload(context, target, options);
+
+    if (result) {
+      return new Response(JSON.stringify({ 
+        success: true, 
+        url: result.url,
+        site: { id: target.site.id, name: target.site.name },
+        videoId: target.videoId,
+        start: target.start,
+        playlistId: target.playlistId
+      }), { headers });
     }
 
-    // Fallback URL
-    return new Response(JSON.stringify({
-      success: false,
-      error: lastError,
-      fallbackUrl: `https://ssyoutube.com/watch?v=${videoId}`
-    }), { headers });
-
+    return errorResponse(error, headers);
   } catch (error) {
-    return new Response(JSON.stringify({ 
-      error: error.message,
-      fallbackUrl: `https://ssyoutube.com/`
-    }), { 
-      status: 500, headers 
-    });
+    return errorResponse(new ApiError('INTERNAL_ERROR', error.message), headers);
   }
 }
-
-export async function onRequestOptions() {
-  return new Response(null, {
-    headers: {
-      'Access-Control-Allow-Origin': '*',
-      'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-      'Access-Control-Allow-Headers': 'Content-Type'
-    }
-  });
-}
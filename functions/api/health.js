@@ -0,0 +1,92 @@
+// Cloudflare Function: probes every instance of every configured provider
+//
+//   GET /api/health
+//
+// { success, status: 'ok' | 'degraded' | 'down', checkedAt, providers: [{
+//     name, priority, enabled, instances: [{
+//       url, ok, status, latency, version, error,
+//       health: { successRate, latency, consecutiveFailures, coolingDown, lastError }
+//     }]
+// }] }
+//
+// `status` and `latency` are from this probe, `health` is what the request
+// path has recorded (see _lib/health.js). Probes don't count towards it.
+import { getProviders, loadProviderConfig } from '../_lib/providers/index.js';
+import { createHealthTracker } from '../_lib/health.js';
+
+const PROBE_TIMEOUT = 5000;
+
+async function probeInstance(provider, instance) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), PROBE_TIMEOUT);
+  const started = Date.now();
+  try {
+    const { status, version } = await provider.probe(instance, controller.signal);
+    return { url: instance, ok: true, status, latency: Date.now() - started, version, error: null };
+  } catch (err) {
+    return {
+      url: instance,
+      ok: false,
+      status: err.status || null,
+      latency: null,
+      version: null,
+      error: controller.signal.aborted ? `No answer within ${PROBE_TIMEOUT / 1000}s` : err.message
+    };
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+function recordedHealth(stats) {
+  if (!stats) return null;
+  return {
+    successRate: Math.round(stats.successRate * 100) / 100,
+    latency: stats.latency,
+    consecutiveFailures: stats.consecutiveFailures,
+    coolingDown: stats.cooldownUntil > Date.now(),
+    lastError: stats.lastError
+  };
+}
+
+export async function onRequestGet(context) {
+  const health = await createHealthTracker(context.env).load();
+  const stats = health.snapshot();
+  const [config, providers] = await Promise.all([
+    loadProviderConfig(context.env),
+    getProviders(context.env)
+  ]);
+
+  const results = await Promise.all(config
+    .sort((a, b) => a.priority - b.priority)
+    .map(async ({ name, priority, enabled, instances }) => {
+      const provider = providers.find(p => p.name === name);
+      return {
+        name,
+        priority,
+        enabled,
+        instances: await Promise.all(instances.map(async instance => ({
+          ...(provider?.probe
+            ? await probeInstance(provider, instance)
+            : { url: instance, ok: null, status: null, latency: null, version: null, error: null }),
+          health: recordedHealth(stats[instance])
+        })))
+      };
+    }));
+
+  // Degraded while any instance is down, down when no enabled provider answers
+  const probed = results.filter(p => p.enabled).flatMap(p => p.instances);
+  const up = probed.filter(i => i.ok).length;
+  const status = up === 0 ? 'down' : up < probed.length ? 'degraded' : 'ok';
+
+  return new Response(JSON.stringify({
+    success: true,
+    status,
+    checkedAt: new Date().toISOString(),
+    providers: results
+  }), {
+    headers: {
+      'Content-Type': 'application/json',
+      'Cache-Control': 'no-store'
+    }
+  });
+}
@@ -0,0 +1,76 @@
+// Cloudflare Function: HLS proxy for the browser recorder (src/lib/hls.js).
+// Playlists and segments on googlevideo or the configured instances don't
+// allow cross-origin reads.
+//
+//   GET /api/hls?url=<playlist or segment URL>
+//
+// Playlists come back with every URI pointing at this proxy again, so a
+// player or the recorder only ever talks to the API.
+import { loadProviderConfig } from '../_lib/providers/index.js';
+import { BROWSER_USER_AGENT } from '../_lib/http.js';
+import { errorResponse } from '../_lib/errors.js';
+import { ApiError } from '../../shared/errors.js';
+import { isHlsPlaylist, rewriteHlsPlaylist } from '../../shared/manifests.js';
+
+const YOUTUBE_HOSTS = /(^|\.)(googlevideo\.com|youtube\.com)$/;
+
+// Not an open proxy: only YouTube's own hosts and the provider instances
+async function isAllowedHost(env, hostname) {
+  if (YOUTUBE_HOSTS.test(hostname)) return true;
+  const config = await loadProviderConfig(env);
+  return config.some(provider => provider.instances.some(instance => {
+    try {
+      return new URL(instance).hostname === hostname;
+    } catch {
+      return false;
+    }
+  }));
+}
+
+export async function onRequestGet(context) {
+  const requestUrl = new URL(context.request.url);
+  const headers = {
+    'Content-Type': 'application/json'
+  };
+
+  let target;
+  try {
+    target = new URL(requestUrl.searchParams.get('url'));
+  } catch {
+    return errorResponse(new ApiError('INVALID_REQUEST', 'url must be an absolute playlist or segment URL'), headers);
+  }
+  if (!/^https?:$/.test(target.protocol) || !(await isAllowedHost(context.env, target.hostname))) {
+    return errorResponse(new ApiError('INVALID_REQUEST', 'Only YouTube and provider hosts are proxied', { status: 403 }), headers);
+  }
+
+  let upstream;
+  try {
+    upstream = await fetch(target.href, { headers: { 'User-Agent': BROWSER_USER_AGENT } });
+  } catch (err) {
+    return errorResponse(new ApiError('UPSTREAM_ERROR', err.message), headers);
+  }
+  if (!upstream.ok) {
+    return errorResponse(new ApiError('UPSTREAM_ERROR', `Upstream answered HTTP ${upstream.status}`), headers);
+  }
+
+  const type = upstream.headers.get('Content-Type') || '';
+  if (/mpegurl/i.test(type) || target.pathname.endsWith('.m3u8') || target.pathname.includes('/api/manifest/hls_')) {
+    const text = await upstream.text();
+    if (isHlsPlaylist(text)) {
+      const proxied = (url) => `${requestUrl.origin}/api/hls?url=${encodeURIComponent(url)}`;
+      return new Response(rewriteHlsPlaylist(text, target.href, proxied), {
+        headers: {
+          'Content-Type': 'application/vnd.apple.mpegurl',
+          // Live playlists change every few seconds
+          'Cache-Control': 'no-store'
+        }
+      });
+    }
+    return new Response(text, { headers: { 'Content-Type': type } });
+  }
+
+  const segmentHeaders = { 'Content-Type': type || 'video/mp2t', 'Cache-Control': 'no-store' };
+  const length = upstream.headers.get('Content-Length');
+  if (length) segmentHeaders['Content-Length'] = length;
+  return new Response(upstream.body, { headers: segmentHeaders });
+}
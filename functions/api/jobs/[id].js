@@ -0,0 +1,23 @@
+// Cloudflare Function: status of a download job (see _lib/jobs.js)
+//
+//   GET /api/jobs/:id  { id, status, request, links, error, webhook, ... }
+import { getJob, publicJob } from '../../_lib/jobs.js';
+import { errorResponse } from '../../_lib/errors.js';
+import { ApiError } from '../../../shared/errors.js';
+
+export async function onRequestGet(context) {
+  const headers = {
+    'Content-Type': 'application/json'
+  };
+
+  const job = await getJob(context.env, context.params.id);
+  // Jobs created with an access token are only visible to that token
+  if (!job || (job.owner && job.owner !== context.data.token?.name)) {
+    return errorResponse(new ApiError('JOB_NOT_FOUND'), headers);
+  }
+
+  const done = job.status === 'ready' || job.status === 'failed';
+  return new Response(JSON.stringify({ success: true, ...publicJob(job) }), {
+    headers: { ...headers, 'Cache-Control': done ? 'private, max-age=60' : 'no-store' }
+  });
+}
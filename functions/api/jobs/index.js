@@ -0,0 +1,64 @@
+// Cloudflare Function: submit an asynchronous download job (see _lib/jobs.js)
+//
+//   POST /api/jobs  { url | videoId, quality?, audio?, audioFormat?, webhook? }
+//
+// Answers 202 with the job right away; poll GET /api/jobs/:id or wait for the
+// webhook.
+import { createJob, publicJob, parseWebhook, runJob } from '../../_lib/jobs.js';
+import { downloadOptions } from '../../_lib/download.js';
+import { parseMediaTarget } from '../../_lib/videoInfo.js';
+import { errorResponse } from '../../_lib/errors.js';
+import { ApiError } from '../../../shared/errors.js';
+
+export async function onRequestPost(context) {
+  const headers = {
+    'Content-Type': 'application/json'
+  };
+
+  let body;
+  try {
+    body = await context.request.json();
+  } catch {
+    body = null;
+  }
+  if (!body || typeof body !== 'object') {
+    return errorResponse(new ApiError('INVALID_REQUEST', 'Body must be a JSON object'), headers);
+  }
+
+  let target;
+  let options;
+  let webhook;
+  try {
+    target = parseMediaTarget({ v: body.videoId, url: body.url });
+    options = downloadOptions(body, target.site);
+    webhook = parseWebhook(body.webhook);
+  } catch (err) {
+    return errorResponse(err, headers);
+  }
+
+  const origin = new URL(context.request.url).origin;
+  let job;
+  try {
+    job = await createJob(context.env, {
+      target,
+      options,
+      webhook,
+      origin,
+      owner: context.data.token?.name || null
+    });
+  } catch (err) {
+    return errorResponse(new ApiError('INTERNAL_ERROR', `Job not saved: ${err.message}`), headers);
+  }
+
+  const response = JSON.stringify({
+    success: true,
+    ...publicJob(job),
+    statusUrl: `${origin}/api/jobs/${job.id}`
+  });
+  context.waitUntil(runJob(context, job, target));
+
+  return new Response(response, {
+    status: 202,
+    headers: { ...headers, 'Location': `/api/jobs/${job.id}` }
+  });
+}
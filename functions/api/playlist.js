@@ -0,0 +1,57 @@
+// Cloudflare Function: video listings for playlists and channels
+//
+//   GET /api/playlist?list=PL...&page=2
+//   GET /api/playlist?channel=UC...|@handle|c/name&page=<token from nextPage>
+import { getProviders } from '../_lib/providers/index.js';
+import { createHealthTracker } from '../_lib/health.js';
+import { providerAttempts, summarizeAttempts, errorResponse } from '../_lib/errors.js';
+import { ApiError } from '../../shared/errors.js';
+import { isChannelId, isPlaylistId } from '../../shared/youtube.js';
+
+export async function onRequestGet(context) {
+  const url = new URL(context.request.url);
+  const listId = url.searchParams.get('list');
+  const channelId = url.searchParams.get('channel');
+  const page = url.searchParams.get('page');
+
+  const headers = {
+    'Content-Type': 'application/json'
+  };
+
+  if (!listId && !channelId) {
+    return errorResponse(new ApiError('INVALID_REQUEST', 'Playlist or channel ID required'), headers);
+  }
+  // Both end up in the provider's URL path
+  if (listId ? !isPlaylistId(listId) : !isChannelId(channelId)) {
+    return errorResponse(new ApiError(
+      'INVALID_ID',
+      listId ? 'Not a YouTube playlist ID' : 'Not a YouTube channel ID, handle or name',
+      { input: String(listId || channelId).slice(0, 200) }
+    ), headers);
+  }
+
+  const health = await createHealthTracker(context.env).load();
+  const providers = await getProviders(context.env, { health });
+  const method = listId ? 'getPlaylist' : 'getChannel';
+  const attempts = [];
+  let result = null;
+
+  for (const provider of providers) {
+    if (!provider[method]) continue;
+    try {
+      result = await provider[method](listId || channelId, { page });
+      break;
+    } catch (err) {
+      console.log(`${provider.name} failed: ${err.message}`);
+      attempts.push(...providerAttempts(provider, err));
+    }
+  }
+
+  context.waitUntil(health.save());
+
+  if (result) {
+    return new Response(JSON.stringify(result), { headers });
+  }
+
+  return errorResponse(summarizeAttempts(attempts), headers);
+}
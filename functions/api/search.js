@@ -0,0 +1,65 @@
+// Cloudflare Function: YouTube search through the configured providers
+//
+//   GET /api/search?q=lofi&type=video&duration=long&page=2
+//
+// type: all (default), video, playlist or channel
+// duration: short (< 4 min), medium (4-20 min) or long (> 20 min); videos only
+import { getProviders } from '../_lib/providers/index.js';
+import { createHealthTracker } from '../_lib/health.js';
+import { providerAttempts, summarizeAttempts, errorResponse } from '../_lib/errors.js';
+import { ApiError } from '../../shared/errors.js';
+
+const TYPES = ['all', 'video', 'playlist', 'channel'];
+const DURATIONS = ['short', 'medium', 'long'];
+const MAX_QUERY_LENGTH = 200;
+
+export async function onRequestGet(context) {
+  const url = new URL(context.request.url);
+  const query = url.searchParams.get('q')?.trim();
+  const type = url.searchParams.get('type') || 'all';
+  const duration = url.searchParams.get('duration') || null;
+  const page = url.searchParams.get('page');
+
+  const headers = {
+    'Content-Type': 'application/json'
+  };
+
+  if (!query) {
+    return errorResponse(new ApiError('INVALID_REQUEST', 'Search query required'), headers);
+  }
+  if (query.length > MAX_QUERY_LENGTH) {
+    return errorResponse(new ApiError('INVALID_REQUEST', `Search query is limited to ${MAX_QUERY_LENGTH} characters`), headers);
+  }
+  if (!TYPES.includes(type)) {
+    return errorResponse(new ApiError('INVALID_REQUEST', `Type must be one of: ${TYPES.join(', ')}`), headers);
+  }
+  if (duration && !DURATIONS.includes(duration)) {
+    return errorResponse(new ApiError('INVALID_REQUEST', `Duration must be one of: ${DURATIONS.join(', ')}`), headers);
+  }
+
+  const health = await createHealthTracker(context.env).load();
+  const providers = await getProviders(context.env, { health });
+  const attempts = [];
+  let result = null;
+
+  for (const provider of providers) {
+    if (!provider.search) continue;
+    try {
+      result = await provider.search(query, { type, duration, page });
+      break;
+    } catch (err) {
+      console.log(`${provider.name} failed: ${err.message}`);
+      attempts.push(...providerAttempts(provider, err));
+    }
+  }
+
+  context.waitUntil(health.save());
+
+  if (result) {
+    return new Response(JSON.stringify(result), {
+      headers: { ...headers, 'Cache-Control': 'private, max-age=300' }
+    });
+  }
+
+  return errorResponse(summarizeAttempts(attempts), headers);
+}
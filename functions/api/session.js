@@ -0,0 +1,41 @@
+// Cloudflare Function: exchanges an access token for a signed session cookie,
+// so plain links (<a href>, <video src>) work on private deployments
+//
+//   POST /api/session     with Authorization: Bearer <token>
+//   DELETE /api/session   signs out
+import { SESSION_COOKIE, signSession, sessionTtl } from '../_lib/auth.js';
+import { errorResponse } from '../_lib/errors.js';
+import { ApiError } from '../../shared/errors.js';
+
+const cookie = (value, maxAge) =>
+  `${SESSION_COOKIE}=${value}; Path=/api; Max-Age=${maxAge}; HttpOnly; Secure; SameSite=Lax`;
+
+export async function onRequestPost(context) {
+  const headers = {
+    'Content-Type': 'application/json'
+  };
+
+  // The middleware has already checked the token, if any
+  const { token } = context.data;
+  if (!token) {
+    return errorResponse(new ApiError('INVALID_REQUEST', 'Access tokens are not enabled on this deployment'), headers);
+  }
+
+  const ttl = sessionTtl(context.env);
+  return new Response(JSON.stringify({
+    success: true,
+    name: token.name,
+    expiresIn: ttl
+  }), {
+    headers: { ...headers, 'Set-Cookie': cookie(await signSession(token, ttl), ttl) }
+  });
+}
+
+export async function onRequestDelete() {
+  return new Response(JSON.stringify({ success: true }), {
+    headers: {
+      'Content-Type': 'application/json',
+      'Set-Cookie': cookie('', 0)
+    }
+  });
+}
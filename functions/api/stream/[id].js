@@ -0,0 +1,131 @@
+// Cloudflare Function: streaming proxy for formats that can't be opened directly
+// (IP-locked googlevideo links, CORS, Cobalt tunnels). Supports HTTP Range.
+//
+//   GET /api/stream/:id?q=1080        best format with audio up to that resolution
+//   GET /api/stream/:id?itag=251      one specific format
+//   GET /api/stream/:id?q=1080&video=1  best video at that resolution, with or
+//                                       without audio (for muxing in the browser)
+//   GET /api/stream/:id?audio=1       best audio-only stream
+//   GET /api/stream/:id?q=max&compat=1  best H.264/MP4 format (see shared/formats.js);
+//                                       with audio=1, AAC first
+//
+// The file is named after `tpl`, else the FILENAME_TEMPLATE variable, else the
+// default template (see shared/filenames.js).
+import { resolveVideoInfo } from '../../_lib/videoInfo.js';
+import { BROWSER_USER_AGENT } from '../../_lib/http.js';
+import { errorResponse } from '../../_lib/errors.js';
+import { ApiError } from '../../../shared/errors.js';
+import { isVideoId } from '../../../shared/youtube.js';
+import { compareFormats, isCompatible, isDirectFormat } from '../../../shared/formats.js';
+import { renderFilename, filenameFields } from '../../../shared/filenames.js';
+
+const PASSTHROUGH_HEADERS = [
+  'Content-Type',
+  'Content-Length',
+  'Content-Range',
+  'Accept-Ranges',
+  'ETag',
+  'Last-Modified'
+];
+
+function pickFormat(info, { itag, quality, audio, compat, video }) {
+  // Live manifests go through /api/hls instead
+  const formats = (info.formats || []).filter(f => f.url && isDirectFormat(f) && (!compat || isCompatible(f)));
+  const audioFormats = (info.audioFormats || []).filter(f => f.url && isDirectFormat(f));
+
+  if (itag) {
+    return [...formats, ...audioFormats].find(f => String(f.itag) === itag) || null;
+  }
+  if (audio) {
+    return (compat && audioFormats.find(f => f.codec === 'm4a')) || audioFormats[0] || null;
+  }
+
+  // The best format with audio at or below the resolution, so the saved file
+  // plays; YouTube only muxes audio into low resolutions, so a video-only
+  // stream is served only when there is no format with audio at all
+  const resolution = parseInt(quality) || Infinity;
+  const candidates = formats
+    .filter(f => (f.resolution || 0) <= resolution)
+    .sort((a, b) => (video ? 0 : b.hasAudio - a.hasAudio) || compareFormats(a, b));
+  return candidates[0] || formats[formats.length - 1] || null;
+}
+
+function contentDisposition(info, format, template) {
+  const name = renderFilename(template, filenameFields(info, format));
+  // ASCII fallback for old clients, RFC 5987 for everything else
+  const ascii = name.replace(/[^\x20-\x7e]/g, '_').replace(/["\\/]/g, '_');
+  return `attachment; filename="${ascii}"; filename*=UTF-8''${encodeURIComponent(name)}`;
+}
+
+async function fetchUpstream(request, format) {
+  const upstreamHeaders = { 'User-Agent': BROWSER_USER_AGENT };
+  const range = request.headers.get('Range');
+  if (range) upstreamHeaders['Range'] = range;
+
+  return fetch(format.url, { method: request.method, headers: upstreamHeaders });
+}
+
+export async function onRequestGet(context) {
+  const { request, params } = context;
+  const url = new URL(request.url);
+  const videoId = params.id;
+  const selection = {
+    itag: url.searchParams.get('itag'),
+    quality: url.searchParams.get('q'),
+    audio: url.searchParams.get('audio') === '1',
+    compat: url.searchParams.get('compat') === '1',
+    video: url.searchParams.get('video') === '1'
+  };
+
+  const errorHeaders = {
+    'Content-Type': 'application/json'
+  };
+
+  if (!isVideoId(videoId)) {
+    return errorResponse(new ApiError('INVALID_ID', 'Not a YouTube video ID'), errorHeaders);
+  }
+
+  let { info, cached, error } = await resolveVideoInfo(context, videoId);
+  let format = info && pickFormat(info, selection);
+  let upstream;
+
+  // fetch() rejects when the connection to the upstream drops
+  try {
+    upstream = format && await fetchUpstream(request, format);
+
+    // A cached link may have been revoked early; resolve it once more
+    if (cached && (!format || upstream.status === 403 || upstream.status === 410)) {
+      ({ info, error } = await resolveVideoInfo(context, videoId, { fresh: true }));
+      format = info && pickFormat(info, selection);
+      upstream = format && await fetchUpstream(request, format);
+    }
+  } catch (err) {
+    return errorResponse(new ApiError('UPSTREAM_ERROR', err.message), errorHeaders);
+  }
+
+  if (!info) {
+    return errorResponse(error, errorHeaders);
+  }
+  if (!format) {
+    return errorResponse(new ApiError('FORMAT_UNAVAILABLE'), errorHeaders);
+  }
+  if (!upstream.ok) {
+    return errorResponse(new ApiError('UPSTREAM_ERROR', `Upstream returned HTTP ${upstream.status}`, {
+      status: upstream.status === 416 ? 416 : 502
+    }), errorHeaders);
+  }
+
+  const headers = new Headers({
+    'Content-Disposition': contentDisposition(info, format, url.searchParams.get('tpl') || context.env.FILENAME_TEMPLATE),
+    'Cache-Control': 'no-store'
+  });
+  for (const name of PASSTHROUGH_HEADERS) {
+    const value = upstream.headers.get(name);
+    if (value) headers.set(name, value);
+  }
+  if (!headers.has('Accept-Ranges')) headers.set('Accept-Ranges', 'bytes');
+
+  return new Response(upstream.body, { status: upstream.status, headers });
+}
+
+export const onRequestHead = onRequestGet;
@@ -0,0 +1,35 @@
+// Cloudflare Function: the largest available YouTube thumbnail, so the UI can
+// save it as a sidecar file (i.ytimg.com doesn't allow cross-origin reads)
+//
+//   GET /api/thumbnail/:id
+import { BROWSER_USER_AGENT } from '../../_lib/http.js';
+import { errorResponse } from '../../_lib/errors.js';
+import { ApiError } from '../../../shared/errors.js';
+import { isVideoId } from '../../../shared/youtube.js';
+
+// maxresdefault only exists for HD uploads
+const SIZES = ['maxresdefault', 'sddefault', 'hqdefault'];
+
+export async function onRequestGet(context) {
+  const videoId = context.params.id;
+
+  if (!isVideoId(videoId)) {
+    return errorResponse(new ApiError('INVALID_ID', 'Not a YouTube video ID'));
+  }
+
+  for (const size of SIZES) {
+    const upstream = await fetch(`https://i.ytimg.com/vi/${videoId}/${size}.jpg`, {
+      headers: { 'User-Agent': BROWSER_USER_AGENT }
+    });
+    if (!upstream.ok) continue;
+
+    return new Response(upstream.body, {
+      headers: {
+        'Content-Type': upstream.headers.get('Content-Type') || 'image/jpeg',
+        'Cache-Control': 'public, max-age=86400'
+      }
+    });
+  }
+
+  return errorResponse(new ApiError('VIDEO_UNAVAILABLE', 'No thumbnail found'));
+}
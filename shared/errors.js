@@ -0,0 +1,100 @@
+// Error model shared by the Functions and the UI.
+//
+// Every failed API response has the shape
+//   { success: false, code, error, attempts? }
+// where `code` is one of ERROR_CODES, `error` a human-readable message and
+// `attempts` the per-provider/instance failures that led to it:
+//   [{ provider, instance, error, code }]
+
+export const ERROR_CODES = {
+  INVALID_REQUEST: 'INVALID_REQUEST',
+  INVALID_ID: 'INVALID_ID',
+  UNSUPPORTED_SITE: 'UNSUPPORTED_SITE',
+  VIDEO_UNAVAILABLE: 'VIDEO_UNAVAILABLE',
+  VIDEO_PRIVATE: 'VIDEO_PRIVATE',
+  AGE_RESTRICTED: 'AGE_RESTRICTED',
+  GEO_BLOCKED: 'GEO_BLOCKED',
+  FORMAT_UNAVAILABLE: 'FORMAT_UNAVAILABLE',
+  LIVE_NOT_STARTED: 'LIVE_NOT_STARTED',
+  RATE_LIMITED: 'RATE_LIMITED',
+  QUOTA_EXCEEDED: 'QUOTA_EXCEEDED',
+  UNAUTHORIZED: 'UNAUTHORIZED',
+  ORIGIN_NOT_ALLOWED: 'ORIGIN_NOT_ALLOWED',
+  JOB_NOT_FOUND: 'JOB_NOT_FOUND',
+  ALL_PROVIDERS_DOWN: 'ALL_PROVIDERS_DOWN',
+  UPSTREAM_ERROR: 'UPSTREAM_ERROR',
+  INTERNAL_ERROR: 'INTERNAL_ERROR',
+  // Only raised in the browser: the API itself could not be reached
+  API_UNREACHABLE: 'API_UNREACHABLE'
+};
+
+export const ERROR_STATUS = {
+  INVALID_REQUEST: 400,
+  INVALID_ID: 400,
+  UNSUPPORTED_SITE: 400,
+  VIDEO_UNAVAILABLE: 404,
+  VIDEO_PRIVATE: 403,
+  AGE_RESTRICTED: 403,
+  GEO_BLOCKED: 451,
+  FORMAT_UNAVAILABLE: 404,
+  LIVE_NOT_STARTED: 409,
+  RATE_LIMITED: 429,
+  QUOTA_EXCEEDED: 429,
+  UNAUTHORIZED: 401,
+  ORIGIN_NOT_ALLOWED: 403,
+  JOB_NOT_FOUND: 404,
+  ALL_PROVIDERS_DOWN: 502,
+  UPSTREAM_ERROR: 502,
+  INTERNAL_ERROR: 500,
+  API_UNREACHABLE: 0
+};
+
+export const ERROR_MESSAGES = {
+  INVALID_REQUEST: 'The request is missing required parameters.',
+  INVALID_ID: 'That is not a valid YouTube video ID or link.',
+  UNSUPPORTED_SITE: 'Links from this site are not supported.',
+  VIDEO_UNAVAILABLE: 'This video is unavailable. It may have been removed.',
+  VIDEO_PRIVATE: 'This video is private.',
+  AGE_RESTRICTED: 'This video is age-restricted and cannot be fetched without signing in.',
+  GEO_BLOCKED: 'This video is not available in the region of the download servers.',
+  FORMAT_UNAVAILABLE: 'The requested format is not available for this video.',
+  LIVE_NOT_STARTED: 'This live stream or premiere has not started yet.',
+  RATE_LIMITED: 'Too many requests. Please wait a moment and try again.',
+  ORIGIN_NOT_ALLOWED: 'This site is not allowed to use the API.',
+  QUOTA_EXCEEDED: 'The daily quota of this access token is used up.',
+  UNAUTHORIZED: 'This API requires an access token.',
+  JOB_NOT_FOUND: 'No such job. Finished jobs are kept for a day.',
+  ALL_PROVIDERS_DOWN: 'All download providers are currently failing. Please try again later.',
+  UPSTREAM_ERROR: 'The download server returned an error.',
+  INTERNAL_ERROR: 'Something went wrong on the server.',
+  API_UNREACHABLE: 'Could not reach the API. Check the API URL in the settings.'
+};
+
+export class ApiError extends Error {
+  constructor(code, message = ERROR_MESSAGES[code], { status = ERROR_STATUS[code], attempts = [], ...details } = {}) {
+    super(message || code);
+    this.name = 'ApiError';
+    this.code = code;
+    this.status = status;
+    this.attempts = attempts;
+    this.details = details;
+  }
+
+  toJSON() {
+    return {
+      success: false,
+      code: this.code,
+      error: this.message,
+      ...(this.attempts.length > 0 && { attempts: this.attempts }),
+      ...this.details
+    };
+  }
+}
+
+// Rebuild the error from a response body (in the browser). `detail` is what
+// the standalone yt-dlp API sends instead of `error`.
+export function fromResponse(data, status) {
+  const code = ERROR_CODES[data?.code] || (status === 429 ? 'RATE_LIMITED' : 'UPSTREAM_ERROR');
+  const { code: _code, error, detail, attempts, success: _success, ...details } = data || {};
+  return new ApiError(code, error || detail || ERROR_MESSAGES[code], { status, attempts, ...details });
+}
@@ -0,0 +1,66 @@
+// Filename templates shared by the stream proxy (Content-Disposition) and the
+// UI (download attribute of client-side saves).
+//
+// Placeholders: {title} {author} {id} {site} {resolution} {fps} {codec}
+// {quality} {bitrate} (kbps) {ext}. Empty placeholders are dropped together
+// with the brackets or separator around them, so
+//   '{author} - {title} [{id}] {resolution}p.{ext}'
+// renders an audio download as 'Author - Title [dQw4w9WgXcQ].m4a'.
+export const DEFAULT_TEMPLATE = '{author} - {title} [{id}].{ext}';
+
+export const TEMPLATE_FIELDS = ['title', 'author', 'id', 'site', 'resolution', 'fps', 'codec', 'quality', 'bitrate', 'ext'];
+
+const MAX_LENGTH = 200;
+// Device names Windows refuses as file names, whatever the extension
+const RESERVED_NAMES = /^(con|prn|aux|nul|com\d|lpt\d)(\..*)?$/i;
+
+// Characters that are invalid on Windows, macOS or Linux, and control chars
+export function sanitizeFilename(name) {
+  let safe = String(name)
+    .replace(/\p{Cc}/gu, '')
+    .replace(/[<>:"/\\|?*]/g, '_')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/^[.\s]+|[.\s]+$/g, '');
+
+  if (RESERVED_NAMES.test(safe)) safe = `_${safe}`;
+  return safe || 'download';
+}
+
+// Fields for a template from a video's info and the chosen format
+export function filenameFields(info, format = {}) {
+  return {
+    title: info.title,
+    author: info.author,
+    id: info.videoId || info.id,
+    site: info.site?.name,
+    resolution: format.type === 'audio' ? null : format.resolution,
+    fps: format.fps,
+    codec: format.codec,
+    quality: format.quality,
+    bitrate: format.bitrate ? Math.round(format.bitrate / 1000) : null,
+    ext: format.container || 'mp4'
+  };
+}
+
+export function renderFilename(template, fields) {
+  const source = template?.trim() || DEFAULT_TEMPLATE;
+  const ext = sanitizeFilename(fields.ext || 'mp4');
+
+  let name = source
+    .replace(/\{(\w+)\}([a-z]*)/g, (match, key, suffix) => {
+      if (!TEMPLATE_FIELDS.includes(key)) return match;
+      const value = fields[key];
+      // A unit suffix such as the "p" of "{resolution}p" goes with its value
+      return value == null || value === '' ? '' : `${String(value).replace(/[<>:"/\\|?*]/g, '_')}${suffix}`;
+    })
+    // Brackets and separators left empty by missing fields
+    .replace(/\[\s*\]|\(\s*\)|\{\s*\}/g, '')
+    .replace(/(\s*-\s*){2,}/g, ' - ')
+    .replace(/^\s*-\s*|\s*-\s*(?=\.[^.]*$)|\s*-\s*$/g, '');
+
+  // The extension is always the real one, wherever the template put it
+  name = name.replace(new RegExp(`\\.${ext}$`, 'i'), '');
+  const base = sanitizeFilename(name).slice(0, MAX_LENGTH - ext.length - 1).trim();
+  return `${base || 'download'}.${ext}`;
+}
@@ -0,0 +1,71 @@
+// Format model shared by the Functions and the UI.
+//
+// Every provider's /api/info response lists `formats` (video, with or without
+// audio) and `audioFormats` (audio only), with these fields:
+//
+//   url          direct link (signed googlevideo URL, Cobalt tunnel...), or the
+//                media playlist / manifest for `protocol` formats
+//   itag         YouTube format id, or null when the provider has none
+//   type         'format' (video with audio), 'adaptive' (video only) or 'audio'
+//   protocol     absent for plain files; 'hls' or 'dash' for live and post-live
+//                streams (see shared/manifests.js)
+//   segmented    DASH only: true when `url` is the manifest, not a file
+//   container    'mp4' | 'webm' | 'ts' (HLS) (video), 'm4a' | 'webm' | 'mp3'... (audio)
+//   codec        video: 'h264' | 'vp9' | 'av1' | null
+//                audio: 'm4a' (AAC) | 'opus', or the transcoding target
+//   audioCodec   video formats with audio: 'aac' | 'opus' | null
+//   quality      label as shown by YouTube, e.g. '1080p60 HDR'
+//   resolution   height in pixels, or null when unknown
+//   fps          frames per second, or null
+//   hdr          true for HDR video
+//   hasAudio     whether a video format includes an audio track
+//   bitrate      bits per second, or null (0 for transcoded audio)
+//   size         bytes, or null when unknown
+//   sampleRate   audio only, Hz
+
+// Codec of a video or audio stream from its MIME type, e.g.
+// 'video/mp4; codecs="avc1.640028"' or 'video/webm; codecs="vp09.02.51.10"'
+export function parseCodecs(mimeType = '') {
+  const codecs = (mimeType.match(/codecs="([^"]+)"/)?.[1] || '').split(',').map(c => c.trim().toLowerCase());
+  const video = codecs.find(c => /^(avc1|vp0?9|av01)/.test(c)) || null;
+  const audio = codecs.find(c => /^(mp4a|opus|vorbis)/.test(c)) || null;
+
+  return {
+    container: mimeType.includes('webm') ? 'webm' : 'mp4',
+    codec: video?.startsWith('avc1') ? 'h264' : video?.startsWith('av01') ? 'av1' : video ? 'vp9' : null,
+    audioCodec: audio?.startsWith('mp4a') ? 'aac' : audio ? 'opus' : null,
+    // VP9 profile 2 and 10-bit AV1 are how YouTube ships HDR
+    hdr: /^vp09\.02|^av01\.\d\.\d+[a-z]\.10/.test(video || '')
+  };
+}
+
+export const CODEC_LABELS = {
+  h264: 'H.264',
+  vp9: 'VP9',
+  av1: 'AV1'
+};
+
+// Formats that are one file at `url`, i.e. everything but live manifests
+export const isDirectFormat = (format) => !format.protocol || (format.protocol === 'dash' && !format.segmented);
+
+// H.264 in MP4 plays on practically every device and editor
+export const isCompatible = (format) => format.codec === 'h264' && format.container === 'mp4';
+
+// Highest resolution first; then with audio, compatible, higher frame rate,
+// higher bitrate
+export function compareFormats(a, b) {
+  return (b.resolution || 0) - (a.resolution || 0)
+    || b.hasAudio - a.hasAudio
+    || isCompatible(b) - isCompatible(a)
+    || (b.fps || 0) - (a.fps || 0)
+    || (b.bitrate || 0) - (a.bitrate || 0);
+}
+
+export function bestCompatible(formats) {
+  return formats.filter(isCompatible).sort(compareFormats)[0] || null;
+}
+
+// `filters` maps format fields (container, codec, fps) to a required value;
+// null or missing means any
+export const matchesFilters = (format, filters) =>
+  Object.entries(filters).every(([key, value]) => value == null || format[key] === value);
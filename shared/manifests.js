@@ -0,0 +1,147 @@
+// HLS and DASH manifest parsing shared by the Functions (live formats in
+// /api/info, the /api/hls proxy) and the browser recorder (src/lib/hls.js).
+import { parseCodecs } from './formats.js';
+
+// Attribute list of an HLS tag: 'BANDWIDTH=1280000,CODECS="avc1.4d401f,mp4a.40.2"'
+function parseAttributes(list) {
+  const attributes = {};
+  for (const [, key, quoted, plain] of list.matchAll(/([A-Z0-9-]+)=(?:"([^"]*)"|([^,]*))/g)) {
+    attributes[key] = quoted ?? plain;
+  }
+  return attributes;
+}
+
+const resolve = (uri, baseUrl) => new URL(uri, baseUrl).href;
+
+const lines = (text) => text.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+
+export const isHlsPlaylist = (text) => text.trimStart().startsWith('#EXTM3U');
+
+// Master playlist -> [{ url, bandwidth, width, height, fps, codecs }]
+export function parseHlsMaster(text, baseUrl) {
+  const variants = [];
+  let pending = null;
+
+  for (const line of lines(text)) {
+    if (line.startsWith('#EXT-X-STREAM-INF:')) {
+      pending = parseAttributes(line.slice('#EXT-X-STREAM-INF:'.length));
+    } else if (pending && !line.startsWith('#')) {
+      const [width, height] = (pending.RESOLUTION || '').split('x').map(Number);
+      variants.push({
+        url: resolve(line, baseUrl),
+        bandwidth: Number(pending.BANDWIDTH) || null,
+        width: width || null,
+        height: height || null,
+        fps: Math.round(Number(pending['FRAME-RATE'])) || null,
+        codecs: pending.CODECS || ''
+      });
+      pending = null;
+    }
+  }
+  return variants;
+}
+
+// Media playlist -> { segments: [{ url, duration, sequence }], map, endList,
+// targetDuration }. `map` is the fMP4 init segment (EXT-X-MAP), if any.
+export function parseHlsMedia(text, baseUrl) {
+  const segments = [];
+  let sequence = 0;
+  let duration = 0;
+  let targetDuration = null;
+  let map = null;
+  let endList = false;
+
+  for (const line of lines(text)) {
+    if (line.startsWith('#EXT-X-MEDIA-SEQUENCE:')) {
+      sequence = parseInt(line.split(':')[1]) || 0;
+    } else if (line.startsWith('#EXT-X-TARGETDURATION:')) {
+      targetDuration = Number(line.split(':')[1]) || null;
+    } else if (line.startsWith('#EXT-X-MAP:')) {
+      const { URI } = parseAttributes(line.slice('#EXT-X-MAP:'.length));
+      if (URI) map = resolve(URI, baseUrl);
+    } else if (line.startsWith('#EXTINF:')) {
+      duration = parseFloat(line.slice('#EXTINF:'.length)) || 0;
+    } else if (line === '#EXT-X-ENDLIST') {
+      endList = true;
+    } else if (!line.startsWith('#')) {
+      segments.push({ url: resolve(line, baseUrl), duration, sequence });
+      sequence += 1;
+      duration = 0;
+    }
+  }
+  return { segments, map, endList, targetDuration };
+}
+
+// Every URI in a playlist (segment lines and URI="..." attributes), absolute
+// and passed through `rewrite`, e.g. to route them through a proxy
+export function rewriteHlsPlaylist(text, baseUrl, rewrite) {
+  return text.split(/\r?\n/).map(line => {
+    const trimmed = line.trim();
+    if (!trimmed) return line;
+    if (trimmed.startsWith('#')) {
+      return line.replace(/URI="([^"]+)"/g, (_, uri) => `URI="${rewrite(resolve(uri, baseUrl))}"`);
+    }
+    return rewrite(resolve(trimmed, baseUrl));
+  }).join('\n');
+}
+
+// HLS variant in the shape of shared/formats.js. YouTube's variants are
+// MPEG-TS with audio muxed in.
+export function hlsVariantFormat(variant) {
+  const codecs = parseCodecs(`video/mp4; codecs="${variant.codecs}"`);
+  return {
+    url: variant.url,
+    itag: null,
+    type: 'format',
+    protocol: 'hls',
+    container: 'ts',
+    codec: codecs.codec,
+    audioCodec: codecs.audioCodec || 'aac',
+    quality: variant.height ? `${variant.height}p${variant.fps > 30 ? variant.fps : ''}` : 'auto',
+    resolution: variant.height,
+    fps: variant.fps,
+    hdr: codecs.hdr,
+    hasAudio: true,
+    bitrate: variant.bandwidth,
+    size: null
+  };
+}
+
+const xmlAttribute = (tag, name) => tag.match(new RegExp(`\\s${name}="([^"]*)"`))?.[1] ?? null;
+
+// DASH MPD -> one format per video or audio Representation. Only
+// representations with a BaseURL are single files; the others are segmented
+// (live) and keep the manifest as their `url`.
+export function parseDashManifest(xml, manifestUrl) {
+  const formats = [];
+  for (const [, setTag, setBody] of xml.matchAll(/<AdaptationSet\b([^>]*)>([\s\S]*?)<\/AdaptationSet>/g)) {
+    const setMime = xmlAttribute(setTag, 'mimeType') || '';
+    for (const [, tag, body = ''] of setBody.matchAll(/<Representation\b([^>]*?)(?:\/>|>([\s\S]*?)<\/Representation>)/g)) {
+      const mimeType = xmlAttribute(tag, 'mimeType') || setMime;
+      const codecs = parseCodecs(`${mimeType}; codecs="${xmlAttribute(tag, 'codecs') || ''}"`);
+      const baseUrl = body.match(/<BaseURL>([^<]+)<\/BaseURL>/)?.[1]?.replace(/&amp;/g, '&');
+      const height = Number(xmlAttribute(tag, 'height')) || null;
+      const fps = Math.round(Number(xmlAttribute(tag, 'frameRate'))) || null;
+      const isAudio = mimeType.startsWith('audio/');
+
+      formats.push({
+        url: baseUrl ? resolve(baseUrl, manifestUrl) : manifestUrl,
+        itag: Number(xmlAttribute(tag, 'id')) || xmlAttribute(tag, 'id'),
+        type: isAudio ? 'audio' : 'adaptive',
+        protocol: 'dash',
+        segmented: !baseUrl,
+        container: codecs.container === 'webm' ? 'webm' : isAudio ? 'm4a' : 'mp4',
+        codec: isAudio ? (codecs.audioCodec === 'opus' ? 'opus' : 'm4a') : codecs.codec,
+        audioCodec: null,
+        quality: height ? `${height}p${fps > 30 ? fps : ''}` : null,
+        resolution: height,
+        fps,
+        hdr: codecs.hdr,
+        hasAudio: isAudio,
+        bitrate: Number(xmlAttribute(tag, 'bandwidth')) || null,
+        size: null
+      });
+    }
+  }
+  return formats;
+}
@@ -0,0 +1,35 @@
+// Sites VibeLoader can download from, shared by the Functions and the UI.
+// YouTube goes through every provider; the others only through Cobalt, which
+// gets the original link. `audioOnly` sites have no video to offer.
+export const SITES = [
+  { id: 'youtube', name: 'YouTube', hosts: ['youtube.com', 'youtu.be', 'youtube-nocookie.com'] },
+  { id: 'vimeo', name: 'Vimeo', hosts: ['vimeo.com'] },
+  { id: 'soundcloud', name: 'SoundCloud', hosts: ['soundcloud.com', 'snd.sc'], audioOnly: true },
+  { id: 'twitter', name: 'Twitter / X', hosts: ['twitter.com', 'x.com'] },
+  { id: 'reddit', name: 'Reddit', hosts: ['reddit.com', 'redd.it'] },
+  { id: 'tiktok', name: 'TikTok', hosts: ['tiktok.com'] },
+  { id: 'instagram', name: 'Instagram', hosts: ['instagram.com'] },
+  { id: 'facebook', name: 'Facebook', hosts: ['facebook.com', 'fb.watch'] },
+  { id: 'twitch', name: 'Twitch', hosts: ['twitch.tv'] },
+  { id: 'dailymotion', name: 'Dailymotion', hosts: ['dailymotion.com', 'dai.ly'] },
+  { id: 'bilibili', name: 'Bilibili', hosts: ['bilibili.com', 'b23.tv'] },
+  { id: 'pinterest', name: 'Pinterest', hosts: ['pinterest.com', 'pin.it'] },
+  { id: 'tumblr', name: 'Tumblr', hosts: ['tumblr.com'] },
+  { id: 'bluesky', name: 'Bluesky', hosts: ['bsky.app'] }
+];
+
+export const getSite = (id) => SITES.find(site => site.id === id) || null;
+
+// Site a link belongs to (subdomains included), or null. Links without a
+// scheme, as people often paste them, are accepted too.
+export function detectSite(url) {
+  let hostname;
+  try {
+    hostname = new URL(/^https?:\/\//i.test(url) ? url : `https://${url}`).hostname.toLowerCase();
+  } catch {
+    return null;
+  }
+  return SITES.find(site =>
+    site.hosts.some(host => hostname === host || hostname.endsWith(`.${host}`))
+  ) || null;
+}
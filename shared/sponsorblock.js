@@ -0,0 +1,86 @@
+// SponsorBlock segments (https://wiki.sponsor.ajay.app) shared by /api/info
+// and the UI. /api/info lists them as `sponsorSegments`:
+//
+//   [{ category, start, end, uuid, votes }]   seconds, sorted by start
+//
+// or null when the lookup failed or is turned off.
+
+// Categories that mark a range of the video, with SponsorBlock's own labels
+// and colours. The first three are removed by default.
+export const SPONSOR_CATEGORIES = {
+  sponsor: { label: 'Sponsor', color: '#00d400' },
+  selfpromo: { label: 'Unpaid/self promotion', color: '#ffff00' },
+  interaction: { label: 'Interaction reminder', color: '#cc00ff' },
+  intro: { label: 'Intermission/intro', color: '#00ffff' },
+  outro: { label: 'Endcards/credits', color: '#0202ed' },
+  preview: { label: 'Preview/recap', color: '#008fd6' },
+  music_offtopic: { label: 'Non-music section', color: '#ff9900' },
+  filler: { label: 'Filler tangent', color: '#7300ff' }
+};
+
+export const DEFAULT_SPONSOR_CATEGORIES = ['sponsor', 'selfpromo', 'interaction'];
+
+// Overlapping or touching segments as one sorted list of { start, end }
+export function mergeSegments(segments) {
+  const merged = [];
+  for (const { start, end } of [...segments].sort((a, b) => a.start - b.start)) {
+    const last = merged[merged.length - 1];
+    if (last && start <= last.end) last.end = Math.max(last.end, end);
+    else merged.push({ start, end });
+  }
+  return merged;
+}
+
+// Parts of `range` ({ start, end }, e.g. the whole video or a clip) left after
+// cutting out `segments`. Leftovers under a second are dropped.
+export function keptRanges(range, segments) {
+  const kept = [];
+  let position = range.start;
+  for (const segment of mergeSegments(segments)) {
+    if (segment.end <= position || segment.start >= range.end) continue;
+    if (segment.start - position >= 1) kept.push({ start: position, end: segment.start });
+    position = Math.max(position, segment.end);
+  }
+  if (range.end - position >= 1) kept.push({ start: position, end: range.end });
+  return kept;
+}
+
+// Video chapters ({ title, start, end }) with the segments written in as
+// chapters of their own, e.g. "[SponsorBlock]: Sponsor", in yt-dlp's
+// --sponsorblock-mark style. Without chapters the rest is titled after the video.
+export function markSegments(chapters, segments, duration, title = 'Video') {
+  const base = chapters.length > 0 ? chapters : [{ title, start: 0, end: duration }];
+  // Overlapping segments are trimmed so the chapters don't overlap
+  const marked = [];
+  for (const s of [...segments].sort((a, b) => a.start - b.start)) {
+    const start = Math.max(s.start, marked[marked.length - 1]?.end ?? 0);
+    if (s.end <= start) continue;
+    marked.push({ title: `[SponsorBlock]: ${SPONSOR_CATEGORIES[s.category]?.label || s.category}`, start, end: s.end });
+  }
+  const rest = base.flatMap(chapter => keptRanges(chapter, segments)
+    .map(range => ({ title: chapter.title, ...range })));
+  return [...rest, ...marked].sort((a, b) => a.start - b.start);
+}
+
+// Chapters moved onto a download that keeps only `ranges` of the video (a
+// clip, or the video without its segments)
+export function cutChapters(chapters, ranges) {
+  const cut = [];
+  let offset = 0;
+  for (const range of ranges) {
+    for (const chapter of chapters) {
+      const start = Math.max(chapter.start, range.start);
+      const end = Math.min(chapter.end ?? range.end, range.end);
+      if (end - start < 1) continue;
+      const last = cut[cut.length - 1];
+      // A chapter split by a removed segment stays one chapter
+      if (last?.title === chapter.title && last.end === start - range.start + offset) {
+        last.end = end - range.start + offset;
+      } else {
+        cut.push({ title: chapter.title, start: start - range.start + offset, end: end - range.start + offset });
+      }
+    }
+    offset += range.end - range.start;
+  }
+  return cut;
+}
@@ -0,0 +1,82 @@
+// YouTube link parsing shared by the Functions and the UI.
+//
+// Parse a pasted YouTube link into what it points at:
+//   { type: 'video', videoId, playlistId, start }   (start in seconds or null)
+//   { type: 'playlist', playlistId }
+//   { type: 'channel', channelId }   (UC... id, @handle, c/name or user/name)
+// Returns null when the text isn't a recognised YouTube link.
+
+// www., m., music. and the privacy-enhanced embed domain. Anchored at the
+// start, so look-alikes such as notyoutube.com or youtube.com.evil.net don't
+// count.
+const SCHEME = String.raw`^(?:https?:\/\/)?`;
+const HOST = String.raw`${SCHEME}(?:(?:www|m|music)\.)?(?:youtube\.com|youtube-nocookie\.com)`;
+
+const VIDEO_PATTERNS = [
+  new RegExp(`${HOST}\\/watch\\?(?:.*&)?v=([a-zA-Z0-9_-]{11})(?![a-zA-Z0-9_-])`),
+  new RegExp(`${HOST}\\/(?:embed|shorts|live|v)\\/([a-zA-Z0-9_-]{11})(?![a-zA-Z0-9_-])`),
+  new RegExp(`${SCHEME}youtu\\.be\\/([a-zA-Z0-9_-]{11})(?![a-zA-Z0-9_-])`)
+];
+
+// Any link on those hosts, checked before reading the playlist parameter
+const YOUTUBE_LINK = new RegExp(`${HOST}(?:[/?#]|$)|${SCHEME}youtu\\.be\\/`);
+
+const CHANNEL_PATTERNS = [
+  new RegExp(`${HOST}\\/channel\\/(UC[a-zA-Z0-9_-]{22})`),
+  new RegExp(`${HOST}\\/(@[a-zA-Z0-9._-]+)`),
+  new RegExp(`${HOST}\\/((?:c|user)\\/[a-zA-Z0-9._-]+)`)
+];
+
+export const VIDEO_ID_PATTERN = /^[a-zA-Z0-9_-]{11}$/;
+
+export const isVideoId = (value) => typeof value === 'string' && VIDEO_ID_PATTERN.test(value);
+
+// Playlist IDs (PL..., UU..., OLAK5uy_..., RD...) and the channel forms
+// CHANNEL_PATTERNS accept, as the API takes them
+export const isPlaylistId = (value) => typeof value === 'string' && /^[a-zA-Z0-9_-]{10,}$/.test(value);
+
+export const isChannelId = (value) => typeof value === 'string'
+  && /^(?:UC[a-zA-Z0-9_-]{22}|@[a-zA-Z0-9._-]+|(?:c|user)\/[a-zA-Z0-9._-]+)$/.test(value);
+
+// "t=90", "t=90s", "t=1h2m3s", "start=90"
+export function parseStartTime(url) {
+  const value = url.match(/[?&#](?:t|start)=([0-9hms]+)/)?.[1];
+  if (!value) return null;
+  if (/^\d+s?$/.test(value)) return parseInt(value);
+
+  const [, h = 0, m = 0, sec = 0] = value.match(/^(?:(\d+)h)?(?:(\d+)m)?(?:(\d+)s)?$/) || [];
+  const seconds = Number(h) * 3600 + Number(m) * 60 + Number(sec);
+  return seconds || null;
+}
+
+export function parseYouTubeUrl(input) {
+  const url = input.trim();
+  if (!YOUTUBE_LINK.test(url)) return null;
+
+  const playlistId = url.match(/[?&]list=([a-zA-Z0-9_-]+)/)?.[1] || null;
+
+  for (const pattern of VIDEO_PATTERNS) {
+    const match = url.match(pattern);
+    if (match) return { type: 'video', videoId: match[1], playlistId, start: parseStartTime(url) };
+  }
+
+  if (playlistId) return { type: 'playlist', playlistId };
+
+  for (const pattern of CHANNEL_PATTERNS) {
+    const match = url.match(pattern);
+    if (match) return { type: 'channel', channelId: match[1] };
+  }
+
+  return null;
+}
+
+// What API callers send as a video: a bare 11-character ID or any video link.
+// Returns { videoId, playlistId, start } or null when it is neither.
+export function parseVideoParam(value) {
+  const text = typeof value === 'string' ? value.trim() : '';
+  if (isVideoId(text)) return { videoId: text, playlistId: null, start: null };
+
+  const target = parseYouTubeUrl(text);
+  if (target?.type !== 'video') return null;
+  return { videoId: target.videoId, playlistId: target.playlistId, start: target.start };
+}
@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseVideoParam, parseYouTubeUrl } from './youtube.js';
+
+test('parses video, playlist and channel links', () => {
+  assert.deepEqual(parseYouTubeUrl('https://www.youtube.com/watch?v=dQw4w9WgXcQ&t=1m30s'), {
+    type: 'video', videoId: 'dQw4w9WgXcQ', playlistId: null, start: 90
+  });
+  assert.equal(parseYouTubeUrl('youtu.be/dQw4w9WgXcQ').videoId, 'dQw4w9WgXcQ');
+  assert.equal(parseYouTubeUrl('https://m.youtube.com/shorts/dQw4w9WgXcQ').videoId, 'dQw4w9WgXcQ');
+  assert.deepEqual(parseYouTubeUrl('https://www.youtube.com/playlist?list=PLrAXtmErZgOeiKm4sgNOknGvNjby9efdf'), {
+    type: 'playlist', playlistId: 'PLrAXtmErZgOeiKm4sgNOknGvNjby9efdf'
+  });
+  assert.deepEqual(parseYouTubeUrl('https://www.youtube.com/@mkbhd'), { type: 'channel', channelId: '@mkbhd' });
+});
+
+test('rejects look-alike hosts', () => {
+  for (const link of [
+    'https://notyoutube.com/watch?v=dQw4w9WgXcQ',
+    'https://youtube.com.evil.net/watch?v=dQw4w9WgXcQ',
+    'https://evil.net/?u=https://www.youtube.com/watch?v=dQw4w9WgXcQ',
+    'evilyoutu.be/dQw4w9WgXcQ',
+    'https://notyoutube.com/playlist?list=PLrAXtmErZgOeiKm4sgNOknGvNjby9efdf',
+    'https://notyoutube.com/@mkbhd'
+  ]) {
+    assert.equal(parseYouTubeUrl(link), null, link);
+    assert.equal(parseVideoParam(link), null, link);
+  }
+});
+
+test('accepts bare video IDs', () => {
+  assert.deepEqual(parseVideoParam(' dQw4w9WgXcQ '), { videoId: 'dQw4w9WgXcQ', playlistId: null, start: null });
+  assert.equal(parseVideoParam('dQw4w9WgXc'), null);
+});
@@ -1,53 +1,164 @@
 import React, { useState } from 'react';
-import { Download, Youtube, Loader2, Play, AlertCircle, RefreshCw, Volume2, VolumeX, Settings } from 'lucide-react';
+import { Download, Loader2, Play, Volume2, VolumeX, Settings, Film, Music, ListVideo, Bookmark, History } from 'lucide-react';
 import { motion, AnimatePresence } from 'framer-motion';
+import PlaylistView from './components/PlaylistView.jsx';
+import DownloadManager from './components/DownloadManager.jsx';
+import CaptionsSection from './components/CaptionsSection.jsx';
+import ClipPicker from './components/ClipPicker.jsx';
+import FormatFilters from './components/FormatFilters.jsx';
+import Diagnostics from './components/Diagnostics.jsx';
+import SearchResults from './components/SearchResults.jsx';
+import HistoryPanel from './components/HistoryPanel.jsx';
+import LiveRecorder from './components/LiveRecorder.jsx';
+import SponsorSegments from './components/SponsorSegments.jsx';
+import { useDownloadQueue } from './hooks/useDownloadQueue.js';
+import { useHistory } from './hooks/useHistory.js';
+import ErrorBanner from './components/ErrorBanner.jsx';
+import SiteIcon from './components/SiteIcon.jsx';
+import { parseVideoParam, parseYouTubeUrl } from '../shared/youtube.js';
+import { detectSite } from '../shared/sites.js';
+import { CODEC_LABELS, bestCompatible, compareFormats, isDirectFormat, matchesFilters } from '../shared/formats.js';
+import { DEFAULT_TEMPLATE, filenameFields, renderFilename } from '../shared/filenames.js';
+import { DEFAULT_SPONSOR_CATEGORIES, cutChapters, keptRanges, markSegments } from '../shared/sponsorblock.js';
+import { triggerDownload } from './lib/download.js';
+import { exportSidecars, pickMetadata } from './lib/sidecars.js';
+import { apiFetch, TOKEN_KEY } from './lib/api.js';
+import { bookmarklet, readDeepLink } from './lib/deepLink.js';
+import { ApiError } from '../shared/errors.js';
+import { formatSize, formatBitrate, formatDuration } from './lib/format.js';
 
 // YOUR PROXMOX YT-DLP API URL - Change this after deploying
 const API_URL = import.meta.env.VITE_API_URL || '';
 
+// Audio formats the API can transcode to via /api/download
+const CONVERT_FORMATS = ['mp3', 'opus', 'm4a', 'wav'];
+
+const NO_FILTERS = { container: null, codec: null, fps: null };
+
+const SEARCH_DEFAULTS = { type: 'all', duration: null };
+
+// History labels for the playlist presets
+const BATCH_QUALITY = { max: 'Best', compatible: 'Best compatible', audio: 'Audio' };
+
+// Top-level domains that make text without a scheme a link; "node.js" or
+// "socket.io"-style terms outside this list are searched for
+const LINK_TLDS = ['com', 'net', 'org', 'io', 'tv', 'be', 'app', 'co', 'me', 'ly', 'it', 'gg', 'dev', 'info', 'de', 'uk', 'fr', 'jp'];
+
+// Links: anything with http(s)://, or host-like text on one of LINK_TLDS
+const looksLikeUrl = (text) => {
+  const value = text.trim();
+  if (/^https?:\/\/\S+$/i.test(value)) return true;
+  const host = value.match(/^([\w-]+(?:\.[\w-]+)+)(?:\/\S*)?$/)?.[1];
+  return Boolean(host) && LINK_TLDS.includes(host.split('.').pop().toLowerCase());
+};
+
+// A bare 11-character video ID, except all-lowercase words such as
+// "programming", which are far more likely searches
+const asVideoId = (text) => {
+  const video = parseVideoParam(text);
+  return video && !/^[a-z]+$/.test(video.videoId) ? { type: 'video', ...video } : null;
+};
+
+// `metadata` with the SponsorBlock segments of `categories` written in as
+// chapters; `info` is the fetched video or an /api/info answer
+const markedMetadata = (metadata, info, categories) => {
+  const segments = (info.sponsorSegments || []).filter(s => categories.includes(s.category));
+  if (segments.length === 0) return metadata;
+  return { ...metadata, chapters: markSegments(info.chapters || [], segments, info.duration, info.title) };
+};
+
+// Preview of the filename template in the settings
+const FILENAME_EXAMPLE = {
+  title: 'Never Gonna Give You Up',
+  author: 'Rick Astley',
+  id: 'dQw4w9WgXcQ',
+  site: 'YouTube',
+  resolution: 1080,
+  fps: 30,
+  codec: 'h264',
+  quality: '1080p',
+  bitrate: 4500,
+  ext: 'mp4'
+};
+
+// Errors from code paths that don't go through apiFetch
+const toApiError = (err) => err instanceof ApiError ? err : new ApiError('INTERNAL_ERROR', err.message);
+
 function App() {
   const [url, setUrl] = useState('');
   const [loading, setLoading] = useState(false);
   const [videoInfo, setVideoInfo] = useState(null);
   const [qualities, setQualities] = useState([]);
+  const [hlsFormats, setHlsFormats] = useState([]);
   const [selectedQuality, setSelectedQuality] = useState(null);
-  const [error, setError] = useState('');
-  const [apiUrl, setApiUrl] = useState(API_URL);
-  const [showSettings, setShowSettings] = useState(!API_URL);
-
-  // Extract video ID from YouTube URL
-  const extractVideoId = (url) => {
-    const patterns = [
-      /(?:youtube\.com\/watch\?v=|youtu\.be\/|youtube\.com\/embed\/)([a-zA-Z0-9_-]{11})/,
-      /youtube\.com\/shorts\/([a-zA-Z0-9_-]{11})/,
-      /youtube\.com\/live\/([a-zA-Z0-9_-]{11})/
-    ];
-    for (const pattern of patterns) {
-      const match = url.match(pattern);
-      if (match) return match[1];
+  const [formatFilters, setFormatFilters] = useState(NO_FILTERS);
+  const [mode, setMode] = useState('video');
+  const [audioFormats, setAudioFormats] = useState([]);
+  const [selectedAudio, setSelectedAudio] = useState(null);
+  const [converting, setConverting] = useState(false);
+  const [mergeAudio, setMergeAudio] = useState(true);
+  const [clip, setClip] = useState(null);
+  const [playlist, setPlaylist] = useState(null);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [playlistId, setPlaylistId] = useState(null);
+  const [search, setSearch] = useState(null);
+  const [maxConcurrent, setMaxConcurrent] = useState(
+    () => Number(localStorage.getItem('ytdlp_max_concurrent')) || 2
+  );
+  const [exportMetadata, setExportMetadata] = useState(
+    () => localStorage.getItem('ytdlp_export_metadata') === '1'
+  );
+  const [removeSponsors, setRemoveSponsors] = useState(
+    () => localStorage.getItem('ytdlp_remove_sponsors') === '1'
+  );
+  const [markSponsors, setMarkSponsors] = useState(
+    () => localStorage.getItem('ytdlp_mark_sponsors') === '1'
+  );
+  const [sponsorCategories, setSponsorCategories] = useState(
+    () => localStorage.getItem('ytdlp_sponsor_categories')?.split(',').filter(Boolean) || DEFAULT_SPONSOR_CATEGORIES
+  );
+  const [error, setError] = useState(null);
+  // Saved settings are read up front, so a deep link can be fetched on load
+  const [apiUrl, setApiUrl] = useState(() => localStorage.getItem('ytdlp_api_url') || API_URL);
+  const [apiToken, setApiToken] = useState(() => localStorage.getItem(TOKEN_KEY) || '');
+  const [filenameTemplate, setFilenameTemplate] = useState(
+    () => localStorage.getItem('ytdlp_filename_template') || DEFAULT_TEMPLATE
+  );
+  const [showSettings, setShowSettings] = useState(() => !localStorage.getItem('ytdlp_api_url') && !API_URL);
+  const [showHistory, setShowHistory] = useState(false);
+  const history = useHistory();
+
+  // Sidecar files for finished downloads that asked for them; batch items
+  // only know their video ID, so their metadata and segments are looked up now
+  const saveSidecars = async (item) => {
+    if (!item.sidecar) return;
+    try {
+      let info = item.sidecar.metadata;
+      if (!info) {
+        const data = await apiFetch(`${apiUrl}/api/info?v=${item.sidecar.videoId}`);
+        info = markedMetadata(pickMetadata(data), data, item.sidecar.sponsorCategories || []);
+      }
+      await exportSidecars(item.filename, info, { apiUrl, format: item.sidecar.format });
+    } catch (err) {
+      console.error(`Metadata export failed: ${err.message}`);
     }
-    return null;
   };
 
-  // Format file size
-  const formatSize = (bytes) => {
-    if (!bytes) return '';
-    const mb = bytes / (1024 * 1024);
-    if (mb >= 1024) return `${(mb / 1024).toFixed(1)} GB`;
-    return `${mb.toFixed(0)} MB`;
+  // Queued downloads are recorded under the queue item's ID, so resuming a
+  // failed one and finishing it updates the same entry
+  const recordDownload = (item, result) => {
+    if (!item.history) return;
+    history.record({ ...item.history, id: item.id, kind: 'download', result, error: item.error || null });
   };
 
-  // Format duration
-  const formatDuration = (seconds) => {
-    if (!seconds) return '';
-    const hrs = Math.floor(seconds / 3600);
-    const mins = Math.floor((seconds % 3600) / 60);
-    const secs = seconds % 60;
-    if (hrs > 0) {
-      return `${hrs}:${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
-    }
-    return `${mins}:${secs.toString().padStart(2, '0')}`;
-  };
+  const queue = useDownloadQueue({
+    maxConcurrent,
+    onComplete: (item) => {
+      saveSidecars(item);
+      recordDownload(item, 'done');
+    },
+    onFailed: (item) => recordDownload(item, 'failed')
+  });
 
   // Get quality badge
   const getQualityBadge = (resolution) => {
@@ -58,95 +169,537 @@ function App() {
     return { label: 'SD', color: 'bg-zinc-600' };
   };
 
-  const handleFetch = async (e) => {
-    e.preventDefault();
-    if (!url) return;
+  const resetVideo = () => {
+    setVideoInfo(null);
+    setQualities([]);
+    setHlsFormats([]);
+    setSelectedQuality(null);
+    setFormatFilters(NO_FILTERS);
+    setAudioFormats([]);
+    setSelectedAudio(null);
+    setClip(null);
+  };
+
+  // `source` is { v: videoId } for YouTube or { url } for any other site
+  const fetchVideo = async (source) => {
+    let data;
+    try {
+      data = await apiFetch(`${apiUrl}/api/info?${new URLSearchParams(source)}`);
+    } catch (err) {
+      history.record({
+        kind: 'fetch',
+        videoId: source.v || null,
+        url: source.url || null,
+        result: 'failed',
+        error: err.message
+      });
+      throw err;
+    }
+
+    history.record({
+      kind: 'fetch',
+      videoId: data.videoId,
+      url: data.videoId ? null : source.url,
+      site: data.site?.name || null,
+      title: data.title,
+      author: data.author,
+      thumbnail: data.thumbnail,
+      result: 'ok'
+    });
+
+    setVideoInfo({
+      id: data.videoId,
+      url: data.url || null,
+      site: data.site,
+      title: data.title,
+      author: data.author,
+      thumbnail: data.thumbnail,
+      duration: data.duration,
+      views: data.views,
+      captions: data.captions || [],
+      chapters: data.chapters || [],
+      liveStatus: data.liveStatus || null,
+      sponsorSegments: data.sponsorSegments || null,
+      startsAt: data.startsAt || null,
+      metadata: pickMetadata(data)
+    });
+
+    // Sort formats by resolution
+    // Links from other sites may come with a single format of unknown resolution
+    const sortedFormats = (data.formats || [])
+      .filter(f => f.url && isDirectFormat(f))
+      .sort(compareFormats);
+    // Live and post-live streams only come as HLS; those are recorded instead
+    setHlsFormats((data.formats || []).filter(f => f.protocol === 'hls').sort(compareFormats));
+
+    setQualities(sortedFormats);
+    if (sortedFormats.length > 0) {
+      setSelectedQuality(sortedFormats[0]);
+    }
+
+    // Native audio streams first, then the transcoded options
+    const audioChoices = [
+      ...(data.audioFormats || []).filter(f => f.url && isDirectFormat(f)),
+      ...CONVERT_FORMATS.map(format => ({ codec: format, container: format, convert: true }))
+    ];
+    setAudioFormats(audioChoices);
+    setSelectedAudio(audioChoices[0]);
+    return data;
+  };
+
+  // Playlist and channel listings, optionally a further page
+  const fetchList = async (target, page) => {
+    const params = new URLSearchParams(
+      target.type === 'channel' ? { channel: target.channelId } : { list: target.playlistId }
+    );
+    if (page) params.set('page', page);
+
+    const data = await apiFetch(`${apiUrl}/api/playlist?${params}`);
+    return { ...data, target };
+  };
+
+  // One page of /api/search results
+  const fetchSearch = async (query, filters, page) => {
+    const params = new URLSearchParams({ q: query, type: filters.type });
+    if (filters.duration) params.set('duration', filters.duration);
+    if (page) params.set('page', page);
+
+    const data = await apiFetch(`${apiUrl}/api/search?${params}`);
+    return { query, filters, results: data.results, nextPage: data.nextPage };
+  };
+
+  const runSearch = async (query, filters) => {
+    setLoading(true);
+    setError(null);
+    try {
+      setSearch(await fetchSearch(query, filters));
+    } catch (err) {
+      console.error(err);
+      setError(toApiError(err));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // `link` defaults to the URL field; deep links pass theirs before the
+  // field has re-rendered
+  const handleFetch = async (e, link = url) => {
+    e?.preventDefault();
+    if (!link) return;
     
     if (!apiUrl) {
       setShowSettings(true);
-      setError('Please set your yt-dlp API URL first');
+      setError(new ApiError('API_UNREACHABLE', 'Please set your yt-dlp API URL first'));
       return;
     }
     
     setLoading(true);
-    setError('');
-    setVideoInfo(null);
-    setQualities([]);
-    setSelectedQuality(null);
+    setError(null);
+    resetVideo();
+    setPlaylist(null);
+    setPlaylistId(null);
+    setSearch(null);
 
-    const videoId = extractVideoId(url);
+    // YouTube links and bare video IDs are fetched, other links go to Cobalt
+    // and anything else is searched for
+    const target = parseYouTubeUrl(link) || asVideoId(link);
+    const site = detectSite(link);
+
+    if (!target && !site && !looksLikeUrl(link)) {
+      setLoading(false);
+      await runSearch(link.trim(), SEARCH_DEFAULTS);
+      return;
+    }
     
-    if (!videoId) {
-      setError('Please enter a valid YouTube URL');
+    if (!target && (!site || site.id === 'youtube')) {
+      setError(site
+        ? new ApiError('INVALID_ID', 'Please enter a valid YouTube URL')
+        : new ApiError('UNSUPPORTED_SITE'));
       setLoading(false);
       return;
     }
 
     try {
-      const response = await fetch(`${apiUrl}/api/info?v=${videoId}`);
-      const data = await response.json();
-      
-      if (!response.ok) {
-        throw new Error(data.detail || 'Failed to fetch video info');
+      if (!target) {
+        // Other sites are resolved by Cobalt from the original link
+        await fetchVideo({ url: link });
+      } else if (target.type === 'video') {
+        setPlaylistId(target.playlistId);
+        const data = await fetchVideo({ v: target.videoId });
+        // Links with t= start a clip from that point
+        if (target.start && target.start < data.duration) {
+          setClip({ start: target.start, end: data.duration });
+        }
+      } else {
+        setPlaylist(await fetchList(target));
       }
+    } catch (err) {
+      console.error(err);
+      setError(toApiError(err));
+    } finally {
+      setLoading(false);
+    }
+  };
 
-      if (!data.success) {
-        throw new Error(data.error || 'Failed to fetch video info');
+  // Video opened from a playlist or channel listing
+  const openVideo = async (videoId) => {
+    setLoading(true);
+    setError(null);
+    resetVideo();
+    try {
+      await fetchVideo({ v: videoId });
+      window.scrollTo({ top: 0, behavior: 'smooth' });
+    } catch (err) {
+      console.error(err);
+      setError(toApiError(err));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // History entries are fetched again from their page link; stream links expire
+  const refetch = (link) => {
+    setUrl(link);
+    setShowHistory(false);
+    handleFetch(null, link);
+  };
+
+  // `target` as from parseYouTubeUrl: { type: 'playlist', playlistId } or
+  // { type: 'channel', channelId }
+  const openList = async (target) => {
+    setLoading(true);
+    setError(null);
+    try {
+      setPlaylist(await fetchList(target));
+      window.scrollTo({ top: 0, behavior: 'smooth' });
+    } catch (err) {
+      console.error(err);
+      setError(toApiError(err));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const openPlaylist = () => openList({ type: 'playlist', playlistId });
+
+  const openSearchResult = (result) => {
+    if (result.type === 'video') openVideo(result.id);
+    else if (result.type === 'playlist') openList({ type: 'playlist', playlistId: result.id });
+    else openList({ type: 'channel', channelId: result.id });
+  };
+
+  const changeSearchFilters = (filters) => runSearch(search.query, filters);
+
+  const loadMoreResults = async () => {
+    setLoadingMore(true);
+    try {
+      const next = await fetchSearch(search.query, search.filters, search.nextPage);
+      setSearch(prev => ({ ...next, results: [...prev.results, ...next.results] }));
+    } catch (err) {
+      console.error(err);
+      setError(toApiError(err));
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  const loadMore = async () => {
+    setLoadingMore(true);
+    try {
+      const next = await fetchList(playlist.target, playlist.nextPage);
+      setPlaylist(prev => ({
+        ...next,
+        videos: [...prev.videos, ...next.videos]
+      }));
+    } catch (err) {
+      console.error(err);
+      setError(toApiError(err));
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  // Stream proxy URL of a format: it supports Range requests and CORS, which
+  // googlevideo links don't always
+  const streamUrl = (videoId, format) => {
+    if (format.itag) return `${apiUrl}/api/stream/${videoId}?itag=${format.itag}`;
+    if (format.type === 'audio') return `${apiUrl}/api/stream/${videoId}?audio=1`;
+    return `${apiUrl}/api/stream/${videoId}?q=${format.resolution}`;
+  };
+
+  // Queued downloads fetch the format's own googlevideo or Cobalt link and
+  // only go through the stream proxy when the browser blocks it (see
+  // hooks/useDownloadQueue.js)
+  const partFor = (format) => format.url
+    ? { url: format.url, fallback: streamUrl(videoInfo.id, format) }
+    : streamUrl(videoInfo.id, format);
+
+  // Every selected video is queued with the same preset. Video presets fetch
+  // the best video stream and the best audio stream and mux them in the
+  // browser, since YouTube only has audio in its low resolution formats.
+  const downloadBatch = (videos, preset) => {
+    // The proxy names these files, since only it knows which format it picked
+    const tpl = encodeURIComponent(filenameTemplate);
+    const stream = (videoId, query) => `${apiUrl}/api/stream/${videoId}?${query}&tpl=${tpl}`;
+    const compat = preset === 'compatible' ? '&compat=1' : '';
+    const quality = preset === 'compatible' ? 'max' : preset;
+    queue.add(videos.map(v => ({
+      title: v.title,
+      ...(preset === 'audio' ? { url: stream(v.videoId, 'audio=1') } : {
+        urls: [stream(v.videoId, `q=${quality}&video=1${compat}`), stream(v.videoId, `audio=1${compat}`)],
+        postprocess: { container: 'mp4', metadata: { title: v.title, artist: v.author } }
+      }),
+      sidecar: exportMetadata
+        ? { videoId: v.videoId, sponsorCategories: markSponsors ? sponsorCategories : null }
+        : null,
+      history: {
+        videoId: v.videoId,
+        site: 'YouTube',
+        title: v.title,
+        author: v.author,
+        thumbnail: v.thumbnail,
+        quality: BATCH_QUALITY[preset] || `${preset}p`
       }
+    })));
+  };
 
-      setVideoInfo({
-        id: videoId,
-        title: data.title,
-        author: data.author,
-        thumbnail: data.thumbnail,
-        duration: data.duration,
-        views: data.views
-      });
+  const changeExportMetadata = (value) => {
+    localStorage.setItem('ytdlp_export_metadata', value ? '1' : '0');
+    setExportMetadata(value);
+  };
+
+  const changeRemoveSponsors = (value) => {
+    localStorage.setItem('ytdlp_remove_sponsors', value ? '1' : '0');
+    setRemoveSponsors(value);
+  };
+
+  const changeMarkSponsors = (value) => {
+    localStorage.setItem('ytdlp_mark_sponsors', value ? '1' : '0');
+    setMarkSponsors(value);
+  };
+
+  const changeSponsorCategories = (categories) => {
+    localStorage.setItem('ytdlp_sponsor_categories', categories.join(','));
+    setSponsorCategories(categories);
+  };
+
+  // SponsorBlock segments of the categories that are switched on
+  const selectedSegments = () => (videoInfo.sponsorSegments || [])
+    .filter(s => sponsorCategories.includes(s.category));
+
+  // Sidecar metadata, with the segments written in as chapters when asked
+  const sidecarMetadata = () => markSponsors
+    ? markedMetadata(videoInfo.metadata, videoInfo, sponsorCategories)
+    : videoInfo.metadata;
+
+  // Sidecar request for a single download of `format`
+  const sidecarFor = (format) => exportMetadata ? { metadata: sidecarMetadata(), format } : null;
 
-      // Sort formats by resolution
-      const sortedFormats = (data.formats || [])
-        .filter(f => f.resolution > 0)
-        .sort((a, b) => b.resolution - a.resolution);
+  // History entry for a download of `format` from the current video
+  const historyFor = (format) => ({
+    videoId: videoInfo.id || null,
+    url: videoInfo.url || null,
+    site: videoInfo.site?.name || null,
+    title: videoInfo.title,
+    author: videoInfo.author,
+    thumbnail: videoInfo.thumbnail,
+    quality: format.type === 'audio' || format.convert
+      ? format.codec.toUpperCase()
+      : format.quality || `${format.resolution}p`
+  });
 
-      setQualities(sortedFormats);
-      if (sortedFormats.length > 0) {
-        setSelectedQuality(sortedFormats[0]);
+  // Saved straight from the link, so the sidecars go out right away; whether
+  // the browser finishes it is out of sight
+  const saveDirect = (format) => {
+    const filename = fileName(format);
+    triggerDownload(format.url, filename);
+    if (exportMetadata) exportSidecars(filename, sidecarMetadata(), { apiUrl, format });
+    history.record({ ...historyFor(format), kind: 'download', result: 'opened' });
+  };
+
+  const changeMaxConcurrent = (value) => {
+    localStorage.setItem('ytdlp_max_concurrent', value);
+    setMaxConcurrent(value);
+  };
+
+  // Name from the filename template in the settings; `title` overrides the video's
+  const fileName = (format, { container = format.container, title = videoInfo.title } = {}) =>
+    renderFilename(filenameTemplate, filenameFields({ ...videoInfo, title }, { ...format, container }));
+
+  // Parts of the video a download keeps: the clip, without the SponsorBlock
+  // segments when they are removed; null for all of it
+  const keptParts = () => {
+    const segments = removeSponsors && videoInfo.duration > 0 ? selectedSegments() : [];
+    const kept = segments.length > 0 ? keptRanges(clip || { start: 0, end: videoInfo.duration }, segments) : [];
+    return kept.length > 0 ? kept : clip && [clip];
+  };
+
+  // Cut the download to the selected range and remove the segments in the
+  // browser; the chapters in its sidecars move along
+  const withClip = (entry, format, container = format.container || 'mp4') => {
+    const ranges = keptParts();
+    if (!ranges) return entry;
+    const label = [
+      clip && `${formatDuration(clip.start) || '0:00'} - ${formatDuration(clip.end)}`,
+      (ranges.length > 1 || ranges[0] !== clip) && 'no sponsors'
+    ].filter(Boolean).join(', ');
+    return {
+      ...entry,
+      title: `${entry.title} [${label}]`,
+      filename: clip
+        ? fileName(format, { container, title: `${videoInfo.title} (${clip.start}s-${clip.end}s)` })
+        : fileName(format, { container }),
+      sidecar: entry.sidecar && {
+        ...entry.sidecar,
+        metadata: { ...entry.sidecar.metadata, chapters: cutChapters(entry.sidecar.metadata.chapters || [], ranges) }
+      },
+      postprocess: {
+        ...entry.postprocess,
+        container,
+        ranges,
+        metadata: { title: videoInfo.title, artist: videoInfo.author }
       }
+    };
+  };
 
+  const handleAudioDownload = async () => {
+    if (!selectedAudio) return;
+
+    // Cobalt links from other sites can't go through the stream proxy
+    if (selectedAudio.url && !videoInfo.id) {
+      saveDirect(selectedAudio);
+      return;
+    }
+
+    if (selectedAudio.url) {
+      queue.add([withClip({
+        title: `${videoInfo.title} (${selectedAudio.codec.toUpperCase()})`,
+        url: partFor(selectedAudio),
+        filename: fileName(selectedAudio),
+        sidecar: sidecarFor(selectedAudio),
+        history: historyFor(selectedAudio)
+      }, selectedAudio)]);
+      return;
+    }
+
+    // Transcoded formats have to be requested from Cobalt
+    setConverting(true);
+    setError(null);
+    try {
+      const data = await apiFetch(`${apiUrl}/api/download`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          ...(videoInfo.id ? { videoId: videoInfo.id } : { url: videoInfo.url }),
+          audio: true,
+          audioFormat: selectedAudio.codec
+        })
+      });
+      window.open(data.url, '_blank');
+      if (exportMetadata) exportSidecars(fileName(selectedAudio), sidecarMetadata(), { apiUrl, format: selectedAudio });
+      history.record({ ...historyFor(selectedAudio), kind: 'download', result: 'opened' });
     } catch (err) {
+      history.record({ ...historyFor(selectedAudio), kind: 'download', result: 'failed', error: err.message });
       console.error(err);
-      setError(err.message || 'Could not fetch video info. Check your API connection.');
+      // Every provider failed: hand over to the external site
+      if (err.details?.fallbackUrl) {
+        window.open(err.details.fallbackUrl, '_blank');
+      } else {
+        setError(toApiError(err));
+      }
     } finally {
-      setLoading(false);
+      setConverting(false);
+    }
+  };
+
+  const visibleQualities = qualities.filter(f => matchesFilters(f, formatFilters));
+
+  // Keep the selection inside the filtered list
+  const changeFormatFilters = (filters) => {
+    setFormatFilters(filters);
+    if (selectedQuality && !matchesFilters(selectedQuality, filters)) {
+      setSelectedQuality(qualities.find(f => matchesFilters(f, filters)) || selectedQuality);
     }
   };
 
+  // H.264 in MP4 for devices that can't play VP9 or AV1
+  const selectBestCompatible = () => {
+    setFormatFilters({ ...NO_FILTERS, container: 'mp4', codec: 'h264' });
+    const best = bestCompatible(qualities);
+    if (best) setSelectedQuality(best);
+  };
+
+  // Best native audio stream for a video container: AAC for MP4, Opus for WebM
+  const bestAudioFor = (format) => {
+    const streams = audioFormats.filter(f => f.url);
+    const codec = format.container === 'webm' ? 'opus' : 'm4a';
+    return streams.find(f => f.codec === codec) || streams[0] || null;
+  };
+
+  // Cobalt converts the audio and hands out a link, so it can't be cut
+  const convertedAudio = mode === 'audio' && Boolean(selectedAudio?.convert);
+
+  const mergeTarget = selectedQuality && !selectedQuality.hasAudio && mergeAudio
+    ? bestAudioFor(selectedQuality)
+    : null;
+
   const handleDownload = () => {
+    if (mode === 'audio') {
+      handleAudioDownload();
+      return;
+    }
     if (!selectedQuality) return;
-    
-    // Use direct URL if available
-    if (selectedQuality.url) {
-      window.open(selectedQuality.url, '_blank');
+
+    if (!videoInfo.id) {
+      saveDirect(selectedQuality);
       return;
     }
-    
-    // Otherwise use the stream endpoint
-    const streamUrl = `${apiUrl}/api/stream/${videoInfo.id}?q=${selectedQuality.resolution}`;
-    window.open(streamUrl, '_blank');
+
+    // Video-only stream: fetch the audio too and mux them in the browser
+    if (mergeTarget) {
+      const container = selectedQuality.container === 'webm' ? 'webm' : 'mp4';
+      queue.add([withClip({
+        title: `${videoInfo.title} (${selectedQuality.resolution}p merged)`,
+        urls: [partFor(selectedQuality), partFor(mergeTarget)],
+        filename: fileName(selectedQuality, { container }),
+        sidecar: sidecarFor(selectedQuality),
+        history: historyFor(selectedQuality),
+        postprocess: { container, metadata: { title: videoInfo.title, artist: videoInfo.author } }
+      }, selectedQuality, container)]);
+      return;
+    }
+
+    queue.add([withClip({
+      title: `${videoInfo.title} (${selectedQuality.resolution}p)`,
+      url: partFor(selectedQuality),
+      filename: fileName(selectedQuality),
+      sidecar: sidecarFor(selectedQuality),
+      history: historyFor(selectedQuality)
+    }, selectedQuality)]);
   };
 
   const saveApiUrl = () => {
     localStorage.setItem('ytdlp_api_url', apiUrl);
+    if (apiToken) localStorage.setItem(TOKEN_KEY, apiToken);
+    else localStorage.removeItem(TOKEN_KEY);
+    localStorage.setItem('ytdlp_filename_template', filenameTemplate.trim() || DEFAULT_TEMPLATE);
     setShowSettings(false);
   };
 
-  // Load saved API URL
+  // Fetches with whatever settings are current, without being an effect
+  // dependency
+  const openDeepLink = React.useEffectEvent((link) => {
+    setUrl(link);
+    handleFetch(null, link);
+  });
+
+  // Opened from a share, deep link or the bookmarklet (see lib/deepLink.js).
+  // The address is reset first, so reloading doesn't fetch it again.
   React.useEffect(() => {
-    const saved = localStorage.getItem('ytdlp_api_url');
-    if (saved) {
-      setApiUrl(saved);
-      setShowSettings(false);
-    }
+    const link = readDeepLink(window.location);
+    if (!link) return;
+    window.history.replaceState(null, '', '/');
+    openDeepLink(link);
   }, []);
 
   return (
@@ -159,22 +712,31 @@ function App() {
       >
         <div className="flex justify-center mb-4">
           <div className="bg-red-600 p-3 rounded-2xl shadow-lg shadow-red-600/20">
-            <Youtube size={48} className="text-white" />
+            <SiteIcon site={detectSite(url)?.id} fallback={Download} size={48} className="text-white" />
           </div>
         </div>
         <h1 className="text-4xl md:text-6xl font-bold mb-4 tracking-tight">
           Vibe<span className="text-red-500">Loader</span>
         </h1>
-        <p className="text-zinc-400 text-lg">Self-hosted YouTube downloader. No ads. No limits.</p>
+        <p className="text-zinc-400 text-lg">Self-hosted downloader for YouTube and more. No ads. No limits.</p>
         
-        {/* Settings button */}
-        <button 
-          onClick={() => setShowSettings(!showSettings)}
-          className="mt-4 text-zinc-500 hover:text-white transition-colors flex items-center gap-2 mx-auto"
-        >
-          <Settings size={16} />
-          {apiUrl ? 'Change API' : 'Set API URL'}
-        </button>
+        {/* Settings and history buttons */}
+        <div className="mt-4 flex justify-center gap-6">
+          <button 
+            onClick={() => setShowSettings(!showSettings)}
+            className="text-zinc-500 hover:text-white transition-colors flex items-center gap-2"
+          >
+            <Settings size={16} />
+            {apiUrl ? 'Change API' : 'Set API URL'}
+          </button>
+          <button
+            onClick={() => setShowHistory(!showHistory)}
+            className="text-zinc-500 hover:text-white transition-colors flex items-center gap-2"
+          >
+            <History size={16} />
+            History
+          </button>
+        </div>
       </motion.div>
 
       {/* Settings Panel */}
@@ -206,11 +768,63 @@ function App() {
               <p className="text-xs text-zinc-500 mt-2">
                 Deploy the yt-dlp-api on your Proxmox server and enter the URL here
               </p>
+              <input
+                type="password"
+                placeholder="Access token (private deployments only)"
+                value={apiToken}
+                onChange={(e) => setApiToken(e.target.value)}
+                autoComplete="off"
+                className="w-full mt-4 bg-zinc-800 border border-zinc-700 rounded-xl px-4 py-3 outline-none focus:border-red-500"
+              />
+              <label className="block text-xs font-bold text-zinc-500 uppercase tracking-widest mt-6 mb-2">
+                Filename template
+              </label>
+              <input
+                type="text"
+                placeholder={DEFAULT_TEMPLATE}
+                value={filenameTemplate}
+                onChange={(e) => setFilenameTemplate(e.target.value)}
+                className="w-full bg-zinc-800 border border-zinc-700 rounded-xl px-4 py-3 font-mono text-sm outline-none focus:border-red-500"
+              />
+              <p className="text-xs text-zinc-500 mt-2">
+                {'{title} {author} {id} {site} {resolution} {fps} {codec} {quality} {bitrate} {ext}'}
+                {' · e.g. '}
+                <span className="font-mono text-zinc-400">
+                  {renderFilename(filenameTemplate, FILENAME_EXAMPLE)}
+                </span>
+              </p>
+              <div className="flex items-center gap-3 mt-6 text-xs text-zinc-500">
+                {/* React refuses javascript: URLs in href, so the ref sets it */}
+                <a
+                  ref={(el) => el?.setAttribute('href', bookmarklet(window.location.origin))}
+                  onClick={(e) => e.preventDefault()}
+                  className="flex items-center gap-2 bg-zinc-800 border border-zinc-700 hover:border-zinc-500 text-zinc-200 px-3 py-2 rounded-xl font-bold cursor-grab"
+                >
+                  <Bookmark size={14} />
+                  VibeLoader
+                </a>
+                Drag this to your bookmarks bar, then click it on any video page to open it here
+              </div>
+              <Diagnostics apiUrl={apiUrl} apiToken={apiToken} />
             </div>
           </motion.div>
         )}
       </AnimatePresence>
 
+      {/* History Panel */}
+      <AnimatePresence>
+        {showHistory && (
+          <motion.div
+            initial={{ opacity: 0, height: 0 }}
+            animate={{ opacity: 1, height: 'auto' }}
+            exit={{ opacity: 0, height: 0 }}
+            className="mb-8"
+          >
+            <HistoryPanel history={history} onRefetch={refetch} />
+          </motion.div>
+        )}
+      </AnimatePresence>
+
       {/* URL Input */}
       <motion.div 
         initial={{ opacity: 0, y: 20 }}
@@ -221,7 +835,7 @@ function App() {
         <form onSubmit={handleFetch} className="flex flex-col md:flex-row gap-2">
           <input
             type="text"
-            placeholder="Paste YouTube link here..."
+            placeholder="Paste a YouTube, Vimeo, SoundCloud, X or TikTok link, or search YouTube..."
             className="flex-1 bg-transparent px-6 py-4 outline-none text-lg text-zinc-100 placeholder:text-zinc-600"
             value={url}
             onChange={(e) => setUrl(e.target.value)}
@@ -250,19 +864,30 @@ function App() {
             initial={{ opacity: 0 }} 
             animate={{ opacity: 1 }}
             exit={{ opacity: 0 }}
-            className="flex flex-col items-center gap-3 text-center mb-6"
           >
-            <div className="flex items-center gap-2 text-red-500 bg-red-500/10 border border-red-500/20 rounded-xl p-4 w-full">
-              <AlertCircle size={20} />
-              {error}
-            </div>
-            <button 
-              onClick={handleFetch}
-              className="flex items-center gap-2 text-zinc-400 hover:text-white transition-colors"
-            >
-              <RefreshCw size={16} />
-              Try again
-            </button>
+            <ErrorBanner
+              error={error}
+              onRetry={handleFetch}
+              onOpenSettings={() => setShowSettings(true)}
+            />
+          </motion.div>
+        )}
+      </AnimatePresence>
+
+      {/* Download queue */}
+      <AnimatePresence>
+        {queue.items.length > 0 && (
+          <motion.div
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0, y: 20 }}
+            className="mb-8"
+          >
+            <DownloadManager
+              queue={queue}
+              maxConcurrent={maxConcurrent}
+              onMaxConcurrentChange={changeMaxConcurrent}
+            />
           </motion.div>
         )}
       </AnimatePresence>
@@ -284,10 +909,16 @@ function App() {
                   alt="Thumbnail" 
                   className="w-full h-full object-cover"
                   onError={(e) => {
-                    e.target.src = `https://img.youtube.com/vi/${videoInfo.id}/hqdefault.jpg`;
+                    if (videoInfo.id) e.target.src = `https://img.youtube.com/vi/${videoInfo.id}/hqdefault.jpg`;
                   }}
                 />
                 <div className="absolute inset-0 bg-gradient-to-t from-black/80 to-transparent" />
+                {videoInfo.site && (
+                  <span className="absolute top-3 left-3 bg-black/70 px-2 py-1 rounded-lg text-xs font-bold text-white flex items-center gap-1.5">
+                    <SiteIcon site={videoInfo.site.id} size={14} />
+                    {videoInfo.site.name}
+                  </span>
+                )}
                 <div className="absolute bottom-3 left-3 right-3 flex justify-between items-end">
                   <span className="text-white text-sm font-medium truncate mr-2">{videoInfo.author}</span>
                   {videoInfo.duration > 0 && (
@@ -301,16 +932,52 @@ function App() {
               {/* Info */}
               <div className="p-6 md:p-8 md:w-3/5 flex flex-col">
                 <h2 className="text-xl md:text-2xl font-bold mb-6 line-clamp-2">{videoInfo.title}</h2>
+
+                {playlistId && !playlist && (
+                  <button
+                    onClick={openPlaylist}
+                    className="-mt-4 mb-6 text-sm text-zinc-400 hover:text-white transition-colors flex items-center gap-2"
+                  >
+                    <ListVideo size={16} />
+                    Show the whole playlist
+                  </button>
+                )}
                 
+                {/* Video / Audio toggle */}
+                <div className="flex gap-1 bg-zinc-800/50 p-1 rounded-xl mb-4">
+                  {[
+                    { id: 'video', label: 'Video', icon: <Film size={16} /> },
+                    { id: 'audio', label: 'Audio', icon: <Music size={16} /> }
+                  ].map(({ id, label, icon }) => (
+                    <button
+                      key={id}
+                      onClick={() => setMode(id)}
+                      className={`flex-1 flex items-center justify-center gap-2 py-2 rounded-lg text-sm font-bold transition-colors ${
+                        mode === id ? 'bg-zinc-700 text-white' : 'text-zinc-400 hover:text-white'
+                      }`}
+                    >
+                      {icon}
+                      {label}
+                    </button>
+                  ))}
+                </div>
+
                 {/* Quality Grid */}
+                {mode === 'video' ? (
                 <div className="mb-6 flex-1">
                   <label className="text-xs font-bold text-zinc-500 uppercase tracking-widest mb-3 block">
-                    Available Qualities ({qualities.length})
+                    Available Qualities ({visibleQualities.length})
                   </label>
+                  <FormatFilters
+                    formats={qualities}
+                    filters={formatFilters}
+                    onChange={changeFormatFilters}
+                    onBestCompatible={selectBestCompatible}
+                  />
                   <div className="grid grid-cols-2 gap-2 max-h-64 overflow-y-auto pr-2">
-                    {qualities.map((quality, index) => {
+                    {visibleQualities.map((quality, index) => {
                       const badge = getQualityBadge(quality.resolution);
-                      const isSelected = selectedQuality?.format_id === quality.format_id;
+                      const isSelected = selectedQuality === quality;
                       return (
                         <button
                           key={index}
@@ -322,12 +989,21 @@ function App() {
                           }`}
                         >
                           <div className="flex items-center gap-2 mb-1">
-                            <span className="font-bold">{quality.resolution}p</span>
-                            <span className={`text-xs px-1.5 py-0.5 rounded ${
-                              isSelected ? 'bg-white/20' : badge.color
-                            }`}>
-                              {badge.label}
-                            </span>
+                            <span className="font-bold">{quality.resolution ? `${quality.resolution}p` : 'Original'}</span>
+                            {quality.resolution > 0 && (
+                              <span className={`text-xs px-1.5 py-0.5 rounded ${
+                                isSelected ? 'bg-white/20' : badge.color
+                              }`}>
+                                {badge.label}
+                              </span>
+                            )}
+                            {quality.hdr && (
+                              <span className={`text-xs px-1.5 py-0.5 rounded ${
+                                isSelected ? 'bg-white/20' : 'bg-orange-600'
+                              }`}>
+                                HDR
+                              </span>
+                            )}
                             {quality.hasAudio ? (
                               <Volume2 size={14} className="opacity-60" />
                             ) : (
@@ -335,36 +1011,255 @@ function App() {
                             )}
                           </div>
                           <div className="text-xs opacity-60 flex items-center gap-2">
-                            <span>{quality.ext?.toUpperCase() || 'MP4'}</span>
-                            {quality.fps && <span>{quality.fps}fps</span>}
-                            {quality.filesize && <span>{formatSize(quality.filesize)}</span>}
+                            <span>{quality.container?.toUpperCase() || 'MP4'}</span>
+                            {quality.codec && <span>{CODEC_LABELS[quality.codec] || quality.codec}</span>}
+                            {quality.fps > 0 && <span>{quality.fps}fps</span>}
+                            {quality.size > 0 && <span>{formatSize(quality.size)}</span>}
                           </div>
                         </button>
                       );
                     })}
                   </div>
                 </div>
+                ) : (
+                <div className="mb-6 flex-1">
+                  <label className="text-xs font-bold text-zinc-500 uppercase tracking-widest mb-3 block">
+                    Audio Formats ({audioFormats.length})
+                  </label>
+                  <div className="grid grid-cols-2 gap-2 max-h-64 overflow-y-auto pr-2">
+                    {audioFormats.map((format, index) => {
+                      const isSelected = selectedAudio === format;
+                      return (
+                        <button
+                          key={index}
+                          onClick={() => setSelectedAudio(format)}
+                          className={`p-3 rounded-xl border text-left transition-all ${
+                            isSelected
+                              ? 'bg-red-600 border-red-500 text-white'
+                              : 'bg-zinc-800/50 border-zinc-700 hover:border-zinc-500'
+                          }`}
+                        >
+                          <div className="flex items-center gap-2 mb-1">
+                            <span className="font-bold">{format.codec.toUpperCase()}</span>
+                            {format.convert && (
+                              <span className={`text-xs px-1.5 py-0.5 rounded ${
+                                isSelected ? 'bg-white/20' : 'bg-zinc-600'
+                              }`}>
+                                Convert
+                              </span>
+                            )}
+                          </div>
+                          <div className="text-xs opacity-60 flex items-center gap-2">
+                            {format.convert ? (
+                              <span>Transcoded by the API</span>
+                            ) : (
+                              <>
+                                <span>{format.container.toUpperCase()}</span>
+                                {format.bitrate > 0 && <span>{formatBitrate(format.bitrate)}</span>}
+                                {format.size && <span>{formatSize(format.size)}</span>}
+                              </>
+                            )}
+                          </div>
+                        </button>
+                      );
+                    })}
+                  </div>
+                </div>
+                )}
+
+                {/* Merge option for video-only formats */}
+                {mode === 'video' && selectedQuality && !selectedQuality.hasAudio && bestAudioFor(selectedQuality) && (
+                  <label className="flex items-center gap-2 text-sm text-zinc-400 mb-4 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={mergeAudio}
+                      onChange={(e) => setMergeAudio(e.target.checked)}
+                      className="accent-red-600 w-4 h-4"
+                    />
+                    Merge with the best audio track (in your browser)
+                  </label>
+                )}
+
+                <label className="flex items-center gap-2 text-sm text-zinc-400 mb-4 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={exportMetadata}
+                    onChange={(e) => changeExportMetadata(e.target.checked)}
+                    className="accent-red-600 w-4 h-4"
+                  />
+                  Export metadata (.nfo, .info.json and thumbnail)
+                </label>
+
+                {videoInfo.sponsorSegments?.length > 0 && (
+                  <>
+                    <label className={`flex items-center gap-2 text-sm mb-4 ${convertedAudio ? 'text-zinc-600' : 'text-zinc-400 cursor-pointer'}`}>
+                      <input
+                        type="checkbox"
+                        checked={removeSponsors && !convertedAudio}
+                        onChange={(e) => changeRemoveSponsors(e.target.checked)}
+                        disabled={convertedAudio}
+                        className="accent-red-600 w-4 h-4"
+                      />
+                      Remove sponsor segments (in your browser)
+                      {convertedAudio && ' (not supported for converted audio)'}
+                    </label>
+                    <label className={`flex items-center gap-2 text-sm mb-4 ${exportMetadata ? 'text-zinc-400 cursor-pointer' : 'text-zinc-600'}`}>
+                      <input
+                        type="checkbox"
+                        checked={markSponsors}
+                        onChange={(e) => changeMarkSponsors(e.target.checked)}
+                        disabled={!exportMetadata}
+                        className="accent-red-600 w-4 h-4"
+                      />
+                      Write sponsor segments as chapters in the exported metadata
+                    </label>
+                  </>
+                )}
+
+                {clip && (
+                  <p className="text-sm text-zinc-400 mb-4">
+                    Only {formatDuration(clip.start) || '0:00'} - {formatDuration(clip.end)} will be saved
+                    {convertedAudio && ' (not supported for converted audio)'}
+                  </p>
+                )}
 
                 {/* Download Button */}
+                {mode === 'video' ? (
                 <button 
                   onClick={handleDownload}
                   disabled={!selectedQuality}
                   className="w-full bg-white text-black hover:bg-zinc-200 disabled:bg-zinc-700 disabled:text-zinc-500 py-4 rounded-xl font-bold text-lg flex items-center justify-center gap-3 transition-colors"
                 >
                   <Download size={24} />
-                  Download {selectedQuality?.resolution}p {selectedQuality?.ext?.toUpperCase() || 'MP4'}
-                  {selectedQuality && !selectedQuality.hasAudio && (
+                  Download {selectedQuality?.resolution ? `${selectedQuality.resolution}p` : ''} {selectedQuality?.container?.toUpperCase() || 'MP4'}
+                  {mergeTarget ? (
+                    <span className="text-sm opacity-60">(merged)</span>
+                  ) : selectedQuality && !selectedQuality.hasAudio && (
                     <span className="text-sm opacity-60">(No Audio)</span>
                   )}
                 </button>
+                ) : (
+                <button 
+                  onClick={handleDownload}
+                  disabled={!selectedAudio || converting}
+                  className="w-full bg-white text-black hover:bg-zinc-200 disabled:bg-zinc-700 disabled:text-zinc-500 py-4 rounded-xl font-bold text-lg flex items-center justify-center gap-3 transition-colors"
+                >
+                  {converting ? (
+                    <>
+                      <Loader2 className="animate-spin" size={24} />
+                      Converting...
+                    </>
+                  ) : (
+                    <>
+                      <Music size={24} />
+                      Download {selectedAudio?.codec.toUpperCase()}
+                      {selectedAudio?.bitrate > 0 && (
+                        <span className="text-sm opacity-60">{formatBitrate(selectedAudio.bitrate)}</span>
+                      )}
+                    </>
+                  )}
+                </button>
+                )}
               </div>
             </div>
+
+            {/* Live stream recording */}
+            {videoInfo.liveStatus && (
+              <LiveRecorder
+                key={videoInfo.id}
+                apiUrl={apiUrl}
+                liveStatus={videoInfo.liveStatus}
+                startsAt={videoInfo.startsAt}
+                formats={hlsFormats}
+                title={videoInfo.title}
+                author={videoInfo.author}
+                fileName={(format, container) => fileName(format, { container })}
+                onRecorded={(format, result, error = null) =>
+                  history.record({ ...historyFor(format), kind: 'download', result, error })}
+              />
+            )}
+
+            {/* Chapters and clip range */}
+            {videoInfo.id && videoInfo.duration > 0 && (
+              <ClipPicker
+                chapters={videoInfo.chapters}
+                duration={videoInfo.duration}
+                clip={clip}
+                onChange={setClip}
+              />
+            )}
+
+            {/* SponsorBlock segments */}
+            {videoInfo.sponsorSegments && videoInfo.duration > 0 && (
+              <SponsorSegments
+                segments={videoInfo.sponsorSegments}
+                duration={videoInfo.duration}
+                clip={clip}
+                categories={sponsorCategories}
+                onCategoriesChange={changeSponsorCategories}
+              />
+            )}
+
+            {/* Captions */}
+            <CaptionsSection
+              key={videoInfo.id}
+              apiUrl={apiUrl}
+              videoId={videoInfo.id}
+              fileName={(ext) => fileName({}, { container: ext })}
+              captions={videoInfo.captions}
+            />
+          </motion.div>
+        )}
+      </AnimatePresence>
+
+      {/* Playlist / Channel */}
+      <AnimatePresence>
+        {playlist && (
+          <motion.div
+            key={playlist.target.playlistId || playlist.target.channelId}
+            initial={{ opacity: 0, scale: 0.95 }}
+            animate={{ opacity: 1, scale: 1 }}
+            exit={{ opacity: 0, scale: 0.95 }}
+            className="mt-8"
+          >
+            <PlaylistView
+              playlist={playlist}
+              loadingMore={loadingMore}
+              onLoadMore={loadMore}
+              onOpenVideo={openVideo}
+              onDownload={downloadBatch}
+              exportMetadata={exportMetadata}
+              onExportMetadataChange={changeExportMetadata}
+              removeSponsors={removeSponsors}
+            />
+          </motion.div>
+        )}
+      </AnimatePresence>
+
+      {/* Search results */}
+      <AnimatePresence>
+        {search && (
+          <motion.div
+            key="search"
+            initial={{ opacity: 0, scale: 0.95 }}
+            animate={{ opacity: 1, scale: 1 }}
+            exit={{ opacity: 0, scale: 0.95 }}
+            className="mt-8"
+          >
+            <SearchResults
+              search={search}
+              loading={loading}
+              loadingMore={loadingMore}
+              onFiltersChange={changeSearchFilters}
+              onLoadMore={loadMoreResults}
+              onOpen={openSearchResult}
+            />
           </motion.div>
         )}
       </AnimatePresence>
 
       <footer className="mt-24 text-center text-zinc-600 text-sm">
-        <p>VibeLoader - Self-hosted YouTube Downloader</p>
+        <p>VibeLoader - Self-hosted Video Downloader</p>
         <p className="mt-2">Powered by yt-dlp</p>
       </footer>
     </div>
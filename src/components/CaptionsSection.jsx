@@ -0,0 +1,104 @@
+import React, { useState } from 'react';
+import { Captions, Loader2 } from 'lucide-react';
+import { saveBlob } from '../lib/download.js';
+import { authHeaders } from '../lib/api.js';
+import { ApiError, fromResponse } from '../../shared/errors.js';
+
+const FORMATS = [
+  { id: 'srt', label: 'SRT' },
+  { id: 'vtt', label: 'WebVTT' },
+  { id: 'txt', label: 'Text' }
+];
+
+// `fileName(ext)` names a file after the video, from the filename template
+function CaptionsSection({ apiUrl, videoId, fileName, captions }) {
+  const [selected, setSelected] = useState(() => new Set());
+  const [format, setFormat] = useState('srt');
+  const [downloading, setDownloading] = useState(false);
+  const [error, setError] = useState('');
+
+  const toggle = (label) => {
+    setSelected(prev => {
+      const next = new Set(prev);
+      if (next.has(label)) next.delete(label);
+      else next.add(label);
+      return next;
+    });
+  };
+
+  // Fetched one by one and saved from a Blob, so each file gets a readable name
+  const handleDownload = async () => {
+    setDownloading(true);
+    setError('');
+    try {
+      for (const track of captions.filter(c => selected.has(c.label))) {
+        const params = new URLSearchParams({ v: videoId, label: track.label, format });
+        let response;
+        try {
+          response = await fetch(`${apiUrl}/api/captions?${params}`, { headers: authHeaders() });
+        } catch {
+          throw new ApiError('API_UNREACHABLE');
+        }
+        if (!response.ok) {
+          throw fromResponse(await response.json().catch(() => null), response.status);
+        }
+        const suffix = track.autoGenerated ? `${track.language}.auto` : track.language;
+        saveBlob(await response.blob(), fileName(`${suffix}.${format}`));
+      }
+    } catch (err) {
+      console.error(err);
+      setError(err.message);
+    } finally {
+      setDownloading(false);
+    }
+  };
+
+  if (captions.length === 0) return null;
+
+  return (
+    <div className="border-t border-zinc-800 p-6 md:p-8">
+      <label className="text-xs font-bold text-zinc-500 uppercase tracking-widest mb-3 flex items-center gap-2">
+        <Captions size={14} />
+        Captions ({captions.length})
+      </label>
+      <div className="flex flex-wrap gap-2 mb-4">
+        {captions.map(track => {
+          const isSelected = selected.has(track.label);
+          return (
+            <button
+              key={track.label}
+              onClick={() => toggle(track.label)}
+              className={`px-3 py-1.5 rounded-lg border text-sm transition-colors ${
+                isSelected
+                  ? 'bg-red-600 border-red-500 text-white'
+                  : 'bg-zinc-800/50 border-zinc-700 hover:border-zinc-500'
+              }`}
+            >
+              {track.label}
+            </button>
+          );
+        })}
+      </div>
+      <div className="flex items-center gap-2">
+        <select
+          value={format}
+          onChange={(e) => setFormat(e.target.value)}
+          className="bg-zinc-800 border border-zinc-700 rounded-xl px-3 py-2 text-sm outline-none focus:border-red-500"
+        >
+          {FORMATS.map(f => <option key={f.id} value={f.id}>{f.label}</option>)}
+        </select>
+        <button
+          onClick={handleDownload}
+          disabled={selected.size === 0 || downloading}
+          className="bg-white text-black hover:bg-zinc-200 disabled:bg-zinc-700 disabled:text-zinc-500 px-4 py-2 rounded-xl font-bold text-sm flex items-center gap-2 transition-colors"
+        >
+          {downloading && <Loader2 className="animate-spin" size={16} />}
+          Download {selected.size > 1 ? `${selected.size} tracks` : 'captions'}
+        </button>
+      </div>
+      {error && <p className="text-sm text-red-400 mt-2">{error}</p>}
+    </div>
+  );
+}
+
+export default CaptionsSection;
@@ -0,0 +1,102 @@
+import React, { useState } from 'react';
+import { Scissors, X } from 'lucide-react';
+import { formatDuration, parseTimestamp } from '../lib/format.js';
+
+// formatDuration leaves 0 empty; the inputs always want a value
+const formatTime = (seconds) => formatDuration(seconds) || '0:00';
+
+function TimeInput({ label, value, onChange }) {
+  const [text, setText] = useState(formatTime(value));
+  const [prevValue, setPrevValue] = useState(value);
+
+  // Follow changes from outside (chapter clicks)
+  if (value !== prevValue) {
+    setPrevValue(value);
+    setText(formatTime(value));
+  }
+
+  const commit = () => {
+    const seconds = parseTimestamp(text);
+    if (seconds === null) setText(formatTime(value));
+    else onChange(seconds);
+  };
+
+  return (
+    <label className="flex-1 text-xs text-zinc-500">
+      {label}
+      <input
+        type="text"
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        onBlur={commit}
+        onKeyDown={(e) => e.key === 'Enter' && commit()}
+        className="mt-1 w-full bg-zinc-800 border border-zinc-700 rounded-lg px-3 py-2 font-mono text-sm text-zinc-100 outline-none focus:border-red-500"
+      />
+    </label>
+  );
+}
+
+// Chapter list plus a start/end range; `clip` is null when the whole video is wanted
+function ClipPicker({ chapters, duration, clip, onChange }) {
+  const setRange = (start, end) => {
+    const clampedStart = Math.max(0, Math.min(start, duration));
+    const clampedEnd = Math.max(clampedStart + 1, Math.min(end, duration));
+    onChange({ start: clampedStart, end: clampedEnd });
+  };
+
+  return (
+    <div className="border-t border-zinc-800 p-6 md:p-8">
+      <div className="flex items-center justify-between mb-3">
+        <label className="text-xs font-bold text-zinc-500 uppercase tracking-widest flex items-center gap-2">
+          <Scissors size={14} />
+          Clip
+        </label>
+        {clip ? (
+          <button
+            onClick={() => onChange(null)}
+            className="text-xs text-zinc-400 hover:text-white transition-colors flex items-center gap-1"
+          >
+            <X size={14} />
+            Whole video
+          </button>
+        ) : (
+          <button
+            onClick={() => setRange(0, duration)}
+            className="text-xs text-zinc-400 hover:text-white transition-colors"
+          >
+            Download a range
+          </button>
+        )}
+      </div>
+
+      {clip && (
+        <div className="flex gap-3 mb-4">
+          <TimeInput label="Start" value={clip.start} onChange={(start) => setRange(start, clip.end)} />
+          <TimeInput label="End" value={clip.end} onChange={(end) => setRange(clip.start, end)} />
+        </div>
+      )}
+
+      {chapters.length > 0 && (
+        <div className="max-h-48 overflow-y-auto divide-y divide-zinc-800/60 rounded-xl border border-zinc-800">
+          {chapters.map(chapter => {
+            const isSelected = clip?.start === chapter.start && clip?.end === chapter.end;
+            return (
+              <button
+                key={chapter.start}
+                onClick={() => setRange(chapter.start, chapter.end)}
+                className={`w-full flex items-center gap-3 px-4 py-2 text-left text-sm transition-colors ${
+                  isSelected ? 'bg-red-600/20 text-white' : 'hover:bg-zinc-800/60'
+                }`}
+              >
+                <span className="font-mono text-xs text-zinc-500 w-16 shrink-0">{formatTime(chapter.start)}</span>
+                <span className="truncate">{chapter.title}</span>
+              </button>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ClipPicker;
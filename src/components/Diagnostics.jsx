@@ -0,0 +1,106 @@
+import React, { useState } from 'react';
+import { Activity, CheckCircle2, AlertCircle, Loader2, MinusCircle } from 'lucide-react';
+import { apiFetch } from '../lib/api.js';
+
+const STATUS_STYLES = {
+  ok: 'text-green-400',
+  degraded: 'text-yellow-400',
+  down: 'text-red-400'
+};
+
+// Hostname without the scheme, for the narrow table column
+const shortUrl = (url) => url.replace(/^https?:\/\//, '');
+
+function InstanceRow({ provider, instance }) {
+  const Icon = instance.ok === null ? MinusCircle : instance.ok ? CheckCircle2 : AlertCircle;
+  const color = instance.ok === null ? 'text-zinc-500' : instance.ok ? 'text-green-400' : 'text-red-400';
+
+  return (
+    <tr className="border-t border-zinc-800">
+      <td className="py-1.5 pr-3 text-zinc-400">{provider.name}</td>
+      <td className="py-1.5 pr-3 font-mono truncate max-w-48" title={instance.url}>{shortUrl(instance.url)}</td>
+      <td className={`py-1.5 pr-3 ${color}`}>
+        <span className="flex items-center gap-1" title={instance.error || undefined}>
+          <Icon size={12} className="shrink-0" />
+          {instance.ok === null ? 'disabled' : instance.ok ? 'up' : instance.error}
+        </span>
+      </td>
+      <td className="py-1.5 pr-3 text-zinc-400">{instance.status ?? ''}</td>
+      <td className="py-1.5 pr-3 text-zinc-400">{instance.latency != null ? `${instance.latency} ms` : ''}</td>
+      <td className="py-1.5 text-zinc-400">{instance.version || ''}</td>
+    </tr>
+  );
+}
+
+// "Test connection" for the API URL and token typed into the settings (not
+// necessarily saved yet), then the upstream table from /api/health. An error
+// here means the API itself is misconfigured; red rows mean dead upstreams.
+function Diagnostics({ apiUrl, apiToken }) {
+  const [testing, setTesting] = useState(false);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+
+  const runTest = async () => {
+    setTesting(true);
+    setError(null);
+    setResult(null);
+    const started = Date.now();
+    try {
+      const data = await apiFetch(`${apiUrl.replace(/\/+$/, '')}/api/health`, {
+        headers: apiToken ? { Authorization: `Bearer ${apiToken}` } : {}
+      });
+      setResult({ ...data, roundTrip: Date.now() - started });
+    } catch (err) {
+      console.error(err);
+      setError(err);
+    } finally {
+      setTesting(false);
+    }
+  };
+
+  return (
+    <div className="mt-6">
+      <div className="flex items-center gap-3">
+        <button
+          onClick={runTest}
+          disabled={!apiUrl || testing}
+          className="flex items-center gap-2 bg-zinc-800 border border-zinc-700 hover:border-zinc-500 disabled:text-zinc-500 px-3 py-2 rounded-xl text-sm font-bold transition-colors"
+        >
+          {testing ? <Loader2 className="animate-spin" size={14} /> : <Activity size={14} />}
+          Test connection
+        </button>
+        {result && (
+          <span className="text-sm">
+            API reachable in {result.roundTrip} ms · upstreams{' '}
+            <span className={STATUS_STYLES[result.status]}>{result.status}</span>
+          </span>
+        )}
+        {error && <span className="text-sm text-red-400">{error.message}</span>}
+      </div>
+
+      {result && (
+        <div className="overflow-x-auto mt-3">
+          <table className="w-full text-xs text-left">
+            <thead className="text-zinc-500 uppercase tracking-widest">
+              <tr>
+                <th className="pb-1 pr-3 font-bold">Provider</th>
+                <th className="pb-1 pr-3 font-bold">Instance</th>
+                <th className="pb-1 pr-3 font-bold">Status</th>
+                <th className="pb-1 pr-3 font-bold">HTTP</th>
+                <th className="pb-1 pr-3 font-bold">Latency</th>
+                <th className="pb-1 font-bold">Version</th>
+              </tr>
+            </thead>
+            <tbody>
+              {result.providers.flatMap(provider => provider.instances.map(instance => (
+                <InstanceRow key={`${provider.name} ${instance.url}`} provider={provider} instance={instance} />
+              )))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default Diagnostics;
@@ -0,0 +1,118 @@
+import React from 'react';
+import { Pause, Play, RotateCcw, X, CheckCircle2, AlertCircle, Loader2 } from 'lucide-react';
+import { formatSize, formatDuration } from '../lib/format.js';
+
+const CONCURRENCY_OPTIONS = [1, 2, 3, 4, 6];
+
+const STATUS_LABELS = {
+  queued: 'Queued',
+  downloading: 'Downloading',
+  retrying: 'Retrying',
+  processing: 'Processing',
+  paused: 'Paused',
+  failed: 'Failed',
+  done: 'Done'
+};
+
+// Format transfer speed
+const formatSpeed = (bytesPerSecond) => {
+  if (!bytesPerSecond) return '';
+  const mb = bytesPerSecond / (1024 * 1024);
+  return mb >= 1 ? `${mb.toFixed(1)} MB/s` : `${Math.round(bytesPerSecond / 1024)} KB/s`;
+};
+
+function DownloadItem({ item, onPause, onResume, onRemove }) {
+  const percent = item.total ? Math.min(100, (item.received / item.total) * 100) : null;
+  const canPause = item.status === 'downloading' || item.status === 'queued' || item.status === 'retrying';
+  const canResume = item.status === 'paused' || item.status === 'failed';
+
+  return (
+    <div className="px-6 py-4">
+      <div className="flex items-center gap-3 mb-2">
+        {item.status === 'done' && <CheckCircle2 size={16} className="text-green-500 shrink-0" />}
+        {item.status === 'failed' && <AlertCircle size={16} className="text-red-500 shrink-0" />}
+        {(item.status === 'downloading' || item.status === 'retrying' || item.status === 'processing') && (
+          <Loader2 size={16} className="animate-spin text-zinc-400 shrink-0" />
+        )}
+        <span className="font-medium truncate flex-1">{item.title}</span>
+        {canPause && (
+          <button onClick={() => onPause(item.id)} className="text-zinc-400 hover:text-white" title="Pause">
+            <Pause size={16} />
+          </button>
+        )}
+        {canResume && (
+          <button onClick={() => onResume(item.id)} className="text-zinc-400 hover:text-white" title="Resume">
+            {item.status === 'failed' ? <RotateCcw size={16} /> : <Play size={16} />}
+          </button>
+        )}
+        <button onClick={() => onRemove(item.id)} className="text-zinc-400 hover:text-white" title="Remove">
+          <X size={16} />
+        </button>
+      </div>
+
+      <div className="h-1.5 bg-zinc-800 rounded-full overflow-hidden mb-2">
+        <div
+          className={`h-full transition-all ${item.status === 'failed' ? 'bg-red-600' : item.status === 'done' ? 'bg-green-600' : 'bg-red-500'}`}
+          style={{ width: `${percent ?? (item.received > 0 ? 100 : 0)}%` }}
+        />
+      </div>
+
+      <div className="text-xs text-zinc-500 flex items-center gap-3">
+        <span>
+          {STATUS_LABELS[item.status]}
+          {item.status === 'downloading' && item.parts.length > 1 && (
+            ` part ${item.parts.findIndex(p => !p.done) + 1}/${item.parts.length}`
+          )}
+        </span>
+        <span>
+          {formatSize(item.received) || '0 MB'}
+          {item.total ? ` / ${formatSize(item.total)}` : ''}
+        </span>
+        {item.status === 'downloading' && item.speed > 0 && <span>{formatSpeed(item.speed)}</span>}
+        {item.status === 'downloading' && item.eta > 0 && <span>{formatDuration(Math.ceil(item.eta))} left</span>}
+        {item.error && item.status !== 'done' && <span className="text-red-400 truncate">{item.error}</span>}
+      </div>
+    </div>
+  );
+}
+
+function DownloadManager({ queue, maxConcurrent, onMaxConcurrentChange }) {
+  const { items, pause, resume, remove, clearFinished } = queue;
+  const hasFinished = items.some(i => i.status === 'done');
+
+  return (
+    <div className="bg-zinc-900/80 border border-zinc-800 rounded-3xl overflow-hidden shadow-2xl">
+      <div className="px-6 py-4 border-b border-zinc-800 flex items-center gap-3">
+        <h3 className="font-bold flex-1">Downloads ({items.length})</h3>
+        <label className="text-xs text-zinc-500 flex items-center gap-2">
+          At once
+          <select
+            value={maxConcurrent}
+            onChange={(e) => onMaxConcurrentChange(Number(e.target.value))}
+            className="bg-zinc-800 border border-zinc-700 rounded-lg px-2 py-1 text-zinc-200 outline-none focus:border-red-500"
+          >
+            {CONCURRENCY_OPTIONS.map(n => <option key={n} value={n}>{n}</option>)}
+          </select>
+        </label>
+        {hasFinished && (
+          <button onClick={clearFinished} className="text-xs text-zinc-400 hover:text-white transition-colors">
+            Clear finished
+          </button>
+        )}
+      </div>
+      <div className="max-h-96 overflow-y-auto divide-y divide-zinc-800/60">
+        {items.map(item => (
+          <DownloadItem
+            key={item.id}
+            item={item}
+            onPause={pause}
+            onResume={resume}
+            onRemove={remove}
+          />
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default DownloadManager;
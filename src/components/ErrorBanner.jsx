@@ -0,0 +1,84 @@
+import React from 'react';
+import { AlertCircle, RefreshCw, Settings, ExternalLink } from 'lucide-react';
+
+// What the user can do about each error code
+const RECOVERY = {
+  INVALID_REQUEST: { hint: 'Paste a full YouTube link, e.g. https://youtu.be/...' },
+  INVALID_ID: { hint: 'Paste a full YouTube link, e.g. https://youtu.be/...' },
+  UNSUPPORTED_SITE: { hint: 'YouTube, Vimeo, SoundCloud, Twitter / X, Reddit, TikTok and a few more are supported.' },
+  VIDEO_UNAVAILABLE: { hint: 'Check the link. Removed videos cannot be downloaded.' },
+  VIDEO_PRIVATE: { hint: 'Only the uploader and people they invite can watch this video.' },
+  AGE_RESTRICTED: { hint: 'Public providers cannot sign in. A self-hosted yt-dlp API with cookies can.', action: 'fallback' },
+  GEO_BLOCKED: { hint: 'Point the API at providers hosted in another region.', action: 'settings' },
+  FORMAT_UNAVAILABLE: { hint: 'Pick another quality.', action: 'retry' },
+  LIVE_NOT_STARTED: { hint: 'Fetch it again once the stream or premiere has started.', action: 'retry' },
+  RATE_LIMITED: { hint: 'Wait a little before trying again.', action: 'retry' },
+  QUOTA_EXCEEDED: { hint: 'The quota resets at midnight UTC.' },
+  UNAUTHORIZED: { hint: 'Enter a valid access token in the API settings.', action: 'settings' },
+  ALL_PROVIDERS_DOWN: { hint: 'Public instances come and go. Try again in a few minutes.', action: 'retry' },
+  API_UNREACHABLE: { hint: 'Make sure the API URL is correct, the server is running and its ALLOWED_ORIGINS include this site.', action: 'settings' }
+};
+
+function ErrorBanner({ error, onRetry, onOpenSettings }) {
+  const recovery = RECOVERY[error.code] || { action: 'retry' };
+  const { fallbackUrl, retryAfter } = error.details || {};
+  const action = recovery.action === 'fallback' && !fallbackUrl ? null : recovery.action;
+
+  return (
+    <div className="flex flex-col items-center gap-3 text-center mb-6">
+      <div className="text-red-500 bg-red-500/10 border border-red-500/20 rounded-xl p-4 w-full text-left">
+        <div className="flex items-center gap-2">
+          <AlertCircle size={20} className="shrink-0" />
+          <span>{error.message}</span>
+        </div>
+        {recovery.hint && <p className="text-sm text-red-300/70 mt-1 ml-7">{recovery.hint}</p>}
+        {error.attempts?.length > 0 && (
+          <details className="mt-2 ml-7 text-xs text-zinc-400">
+            <summary className="cursor-pointer hover:text-zinc-200">
+              {error.attempts.length} provider attempts
+            </summary>
+            <ul className="mt-1 space-y-0.5 font-mono">
+              {error.attempts.map((attempt, index) => (
+                <li key={index} className="truncate">
+                  {attempt.provider} {attempt.instance && `(${attempt.instance})`}: {attempt.error}
+                </li>
+              ))}
+            </ul>
+          </details>
+        )}
+      </div>
+
+      {action === 'retry' && (
+        <button 
+          onClick={onRetry}
+          className="flex items-center gap-2 text-zinc-400 hover:text-white transition-colors"
+        >
+          <RefreshCw size={16} />
+          Try again{retryAfter ? ` in ${retryAfter}s` : ''}
+        </button>
+      )}
+      {action === 'settings' && (
+        <button 
+          onClick={onOpenSettings}
+          className="flex items-center gap-2 text-zinc-400 hover:text-white transition-colors"
+        >
+          <Settings size={16} />
+          Open API settings
+        </button>
+      )}
+      {action === 'fallback' && (
+        <a
+          href={fallbackUrl}
+          target="_blank"
+          rel="noopener noreferrer"
+          className="flex items-center gap-2 text-zinc-400 hover:text-white transition-colors"
+        >
+          <ExternalLink size={16} />
+          Try an external downloader
+        </a>
+      )}
+    </div>
+  );
+}
+
+export default ErrorBanner;
@@ -0,0 +1,61 @@
+import React from 'react';
+import { Smartphone } from 'lucide-react';
+import { CODEC_LABELS } from '../../shared/formats.js';
+
+const GROUPS = [
+  { key: 'container', label: (v) => v.toUpperCase() },
+  { key: 'codec', label: (v) => CODEC_LABELS[v] || v },
+  { key: 'fps', label: (v) => `${v}fps` }
+];
+
+const chipClass = (active) => `px-2.5 py-1 rounded-lg text-xs font-bold transition-colors ${
+  active ? 'bg-zinc-200 text-black' : 'bg-zinc-800 text-zinc-400 hover:text-white'
+}`;
+
+// Filter chips for the quality grid; a group only shows up when the video
+// offers more than one value for it, "Best compatible" whenever there are formats
+function FormatFilters({ formats, filters, onChange, onBestCompatible }) {
+  const groups = GROUPS
+    .map(group => ({
+      ...group,
+      values: [...new Set(formats.map(f => f[group.key]).filter(v => v != null))]
+        .sort((a, b) => typeof a === 'number' ? b - a : String(a).localeCompare(String(b)))
+    }))
+    .filter(group => group.values.length > 1);
+
+  if (formats.length === 0) return null;
+
+  return (
+    <div className="flex flex-wrap items-center gap-x-4 gap-y-2 mb-3">
+      {groups.map(group => (
+        <div key={group.key} className="flex gap-1">
+          <button
+            onClick={() => onChange({ ...filters, [group.key]: null })}
+            className={chipClass(filters[group.key] == null)}
+          >
+            Any
+          </button>
+          {group.values.map(value => (
+            <button
+              key={value}
+              onClick={() => onChange({ ...filters, [group.key]: value })}
+              className={chipClass(filters[group.key] === value)}
+            >
+              {group.label(value)}
+            </button>
+          ))}
+        </div>
+      ))}
+      <button
+        onClick={onBestCompatible}
+        title="H.264 in MP4, which plays on practically every device"
+        className="px-2.5 py-1 rounded-lg text-xs font-bold bg-red-600/20 text-red-400 hover:bg-red-600/30 flex items-center gap-1 transition-colors"
+      >
+        <Smartphone size={12} />
+        Best compatible
+      </button>
+    </div>
+  );
+}
+
+export default FormatFilters;
@@ -0,0 +1,179 @@
+import React, { useMemo, useRef, useState } from 'react';
+import { History, RotateCcw, Trash2, FileJson, FileSpreadsheet, Upload, Search } from 'lucide-react';
+import { saveBlob } from '../lib/download.js';
+import { entryLink, parseHistoryFile, toCsv, toJson } from '../lib/history.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const PERIODS = [
+  { id: 'all', label: 'Any time', ms: null },
+  { id: 'day', label: 'Last 24 hours', ms: DAY },
+  { id: 'week', label: 'Last 7 days', ms: 7 * DAY },
+  { id: 'month', label: 'Last 30 days', ms: 30 * DAY }
+];
+
+const RESULT_STYLES = {
+  ok: 'text-green-400',
+  done: 'text-green-400',
+  opened: 'text-zinc-400',
+  failed: 'text-red-400'
+};
+
+const selectClass = 'bg-zinc-800 border border-zinc-700 rounded-xl px-3 py-2 text-sm outline-none focus:border-red-500';
+const actionClass = 'flex items-center gap-1.5 text-xs text-zinc-400 hover:text-white transition-colors';
+
+const formatTime = (time) => new Date(time).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+
+function HistoryPanel({ history, onRefetch }) {
+  const { entries, remove, clear, importEntries } = history;
+  const [query, setQuery] = useState('');
+  const [period, setPeriod] = useState('all');
+  const [quality, setQuality] = useState('');
+  const [notice, setNotice] = useState('');
+  const fileInput = useRef(null);
+
+  const qualities = useMemo(
+    () => [...new Set(entries.map(e => e.quality).filter(Boolean))].sort(),
+    [entries]
+  );
+
+  // Cutoff is taken when the filters change, not on every render
+  const [now, setNow] = useState(() => Date.now());
+  const changePeriod = (value) => {
+    setPeriod(value);
+    setNow(Date.now());
+  };
+
+  const visible = useMemo(() => {
+    const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+    const since = PERIODS.find(p => p.id === period).ms;
+    return entries.filter(entry => {
+      if (since && entry.time < now - since) return false;
+      if (quality && entry.quality !== quality) return false;
+      const text = [entry.title, entry.author, entry.videoId, entry.url, entry.site].join(' ').toLowerCase();
+      return words.every(word => text.includes(word));
+    });
+  }, [entries, query, period, quality, now]);
+
+  const exportAs = (format) => {
+    const stamp = new Date().toISOString().slice(0, 10);
+    const blob = format === 'csv'
+      ? new Blob([toCsv(visible)], { type: 'text/csv' })
+      : new Blob([toJson(visible)], { type: 'application/json' });
+    saveBlob(blob, `vibeloader-history-${stamp}.${format}`);
+  };
+
+  const handleImport = async (e) => {
+    const [file] = e.target.files;
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const imported = parseHistoryFile(await file.text());
+      await importEntries(imported);
+      setNotice(`Imported ${imported.length} entries`);
+    } catch (err) {
+      console.error(err);
+      setNotice(`Import failed: ${err.message}`);
+    }
+  };
+
+  const handleClear = () => {
+    if (window.confirm(`Delete all ${entries.length} history entries?`)) clear();
+  };
+
+  return (
+    <div className="bg-zinc-900 border border-zinc-800 rounded-2xl p-6">
+      <h3 className="font-bold mb-4 flex items-center gap-2">
+        <History size={18} />
+        History
+        <span className="text-sm font-normal text-zinc-500">
+          {visible.length === entries.length ? entries.length : `${visible.length} of ${entries.length}`}
+        </span>
+      </h3>
+
+      <div className="flex flex-wrap gap-2 mb-4">
+        <div className="flex-1 min-w-48 flex items-center gap-2 bg-zinc-800 border border-zinc-700 rounded-xl px-3 focus-within:border-red-500">
+          <Search size={14} className="text-zinc-500 shrink-0" />
+          <input
+            type="text"
+            placeholder="Search title, channel or ID"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            className="flex-1 bg-transparent py-2 text-sm outline-none"
+          />
+        </div>
+        <select value={period} onChange={(e) => changePeriod(e.target.value)} className={selectClass}>
+          {PERIODS.map(p => <option key={p.id} value={p.id}>{p.label}</option>)}
+        </select>
+        <select value={quality} onChange={(e) => setQuality(e.target.value)} className={selectClass}>
+          <option value="">Any quality</option>
+          {qualities.map(q => <option key={q} value={q}>{q}</option>)}
+        </select>
+      </div>
+
+      {visible.length === 0 ? (
+        <p className="text-sm text-zinc-500 text-center py-6">
+          {entries.length === 0 ? 'Fetched videos and downloads show up here' : 'Nothing matches these filters'}
+        </p>
+      ) : (
+        <div className="max-h-96 overflow-y-auto divide-y divide-zinc-800/60 -mx-2">
+          {visible.map(entry => (
+            <div key={entry.id} className="flex items-center gap-3 px-2 py-2">
+              <div className="w-20 aspect-video shrink-0 rounded-md overflow-hidden bg-zinc-800">
+                {entry.thumbnail && <img src={entry.thumbnail} alt="" loading="lazy" className="w-full h-full object-cover" />}
+              </div>
+              <div className="min-w-0 flex-1">
+                <p className="text-sm font-medium truncate" title={entry.title}>{entry.title || entry.url || entry.videoId}</p>
+                <p className="text-xs text-zinc-500 truncate">
+                  {[entry.author, entry.kind === 'fetch' ? 'Fetched' : entry.quality || 'Download', formatTime(entry.time)]
+                    .filter(Boolean).join(' · ')}
+                  {' · '}
+                  <span className={RESULT_STYLES[entry.result]} title={entry.error || undefined}>{entry.result}</span>
+                </p>
+              </div>
+              <button
+                onClick={() => onRefetch(entryLink(entry))}
+                disabled={!entryLink(entry)}
+                title="Fetch again"
+                className="p-2 text-zinc-400 hover:text-white disabled:text-zinc-700 transition-colors"
+              >
+                <RotateCcw size={16} />
+              </button>
+              <button
+                onClick={() => remove(entry.id)}
+                title="Delete"
+                className="p-2 text-zinc-400 hover:text-red-400 transition-colors"
+              >
+                <Trash2 size={16} />
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="flex flex-wrap items-center gap-4 mt-4 pt-4 border-t border-zinc-800">
+        <button onClick={() => exportAs('json')} disabled={visible.length === 0} className={actionClass}>
+          <FileJson size={14} />
+          Export JSON
+        </button>
+        <button onClick={() => exportAs('csv')} disabled={visible.length === 0} className={actionClass}>
+          <FileSpreadsheet size={14} />
+          Export CSV
+        </button>
+        <button onClick={() => fileInput.current.click()} className={actionClass}>
+          <Upload size={14} />
+          Import
+        </button>
+        <input ref={fileInput} type="file" accept=".json,.csv,application/json,text/csv" onChange={handleImport} className="hidden" />
+        {notice && <span className="text-xs text-zinc-500">{notice}</span>}
+        <div className="flex-1" />
+        <button onClick={handleClear} disabled={entries.length === 0} className={`${actionClass} hover:text-red-400`}>
+          <Trash2 size={14} />
+          Clear all
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default HistoryPanel;
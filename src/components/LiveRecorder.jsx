@@ -0,0 +1,142 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Radio, Square, Loader2, CalendarClock } from 'lucide-react';
+import { recordHls } from '../lib/hls.js';
+import { saveBlob } from '../lib/download.js';
+import { formatBitrate, formatDuration, formatSize } from '../lib/format.js';
+
+const STATUS_TEXT = {
+  live: 'Live now',
+  post_live: 'Stream ended · YouTube is still processing the recording'
+};
+
+// Live and post-live streams: records the selected HLS variant (see
+// lib/hls.js) with running counters, then saves it as one file, remuxed from
+// MPEG-TS to MP4 by ffmpeg.wasm unless turned off. Upcoming streams only get
+// their start time.
+function LiveRecorder({ apiUrl, liveStatus, startsAt, formats, title, author, fileName, onRecorded }) {
+  const [selected, setSelected] = useState(formats[0] || null);
+  const [remux, setRemux] = useState(true);
+  const [status, setStatus] = useState('idle');
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState('');
+  const controller = useRef(null);
+
+  // Leaving the video stops the recording; what was recorded is still saved
+  useEffect(() => () => controller.current?.abort(), []);
+
+  if (liveStatus === 'upcoming') {
+    return (
+      <div className="border-t border-zinc-800 p-6 md:p-8 flex items-center gap-3 text-zinc-400">
+        <CalendarClock size={18} className="shrink-0" />
+        {startsAt
+          ? `Starts ${new Date(startsAt * 1000).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' })}. Fetch it again once it is live.`
+          : 'This stream has not started yet. Fetch it again once it is live.'}
+      </div>
+    );
+  }
+  if (!selected) return null;
+
+  const start = async () => {
+    controller.current = new AbortController();
+    setStatus('recording');
+    setError('');
+    setProgress(null);
+    try {
+      let blob = await recordHls(apiUrl, selected.url, {
+        signal: controller.current.signal,
+        onProgress: setProgress
+      });
+      if (blob.size === 0) throw new Error('Nothing was recorded');
+
+      let container = blob.type === 'video/mp4' ? 'mp4' : 'ts';
+      if (remux && container === 'ts') {
+        setStatus('saving');
+        const { processDownload } = await import('../lib/ffmpeg.js');
+        blob = await processDownload({ container: 'mp4', metadata: { title, artist: author } }, [blob]);
+        container = 'mp4';
+      }
+      saveBlob(blob, fileName(selected, container));
+      setStatus('done');
+      onRecorded?.(selected, 'done');
+    } catch (err) {
+      console.error(err);
+      setError(err.message);
+      setStatus('failed');
+      onRecorded?.(selected, 'failed', err.message);
+    } finally {
+      controller.current = null;
+    }
+  };
+
+  const stop = () => controller.current?.abort();
+
+  const busy = status === 'recording' || status === 'saving';
+
+  return (
+    <div className="border-t border-zinc-800 p-6 md:p-8">
+      <label className="text-xs font-bold text-zinc-500 uppercase tracking-widest mb-3 flex items-center gap-2">
+        <Radio size={14} className={liveStatus === 'live' ? 'text-red-500' : ''} />
+        {STATUS_TEXT[liveStatus]}
+      </label>
+
+      <div className="flex flex-wrap items-center gap-2">
+        <select
+          value={formats.indexOf(selected)}
+          onChange={(e) => setSelected(formats[e.target.value])}
+          disabled={busy}
+          className="bg-zinc-800 border border-zinc-700 rounded-xl px-3 py-2 text-sm outline-none focus:border-red-500"
+        >
+          {formats.map((format, index) => (
+            <option key={format.url} value={index}>
+              {format.quality} {format.bitrate ? `· ${formatBitrate(format.bitrate)}` : ''}
+            </option>
+          ))}
+        </select>
+        {status === 'recording' ? (
+          <button
+            onClick={stop}
+            className="bg-red-600 hover:bg-red-700 text-white px-4 py-2 rounded-xl font-bold text-sm flex items-center gap-2 transition-colors"
+          >
+            <Square size={14} />
+            Stop and save
+          </button>
+        ) : (
+          <button
+            onClick={start}
+            disabled={busy}
+            className="bg-white text-black hover:bg-zinc-200 disabled:bg-zinc-700 disabled:text-zinc-500 px-4 py-2 rounded-xl font-bold text-sm flex items-center gap-2 transition-colors"
+          >
+            {status === 'saving' ? <Loader2 className="animate-spin" size={14} /> : <Radio size={14} />}
+            {status === 'saving' ? 'Saving...' : liveStatus === 'live' ? 'Record' : 'Download stream'}
+          </button>
+        )}
+        <label className="flex items-center gap-2 text-sm text-zinc-400 cursor-pointer ml-2">
+          <input
+            type="checkbox"
+            checked={remux}
+            onChange={(e) => setRemux(e.target.checked)}
+            disabled={busy}
+            className="accent-red-600 w-4 h-4"
+          />
+          Save as MP4
+        </label>
+      </div>
+
+      {progress && (
+        <p className="text-sm text-zinc-400 mt-3 font-mono">
+          {formatDuration(Math.round(progress.duration)) || '0:00'} · {formatSize(progress.bytes) || '0 MB'} · {progress.segments} segments
+          {progress.missed > 0 && <span className="text-yellow-400"> · {progress.missed} missed</span>}
+        </p>
+      )}
+      {liveStatus === 'live' && status === 'idle' && (
+        <p className="text-xs text-zinc-500 mt-2">
+          Recording starts at the oldest part the stream still offers and runs until you stop it or the stream ends.
+          Keep this tab open.
+        </p>
+      )}
+      {error && <p className="text-sm text-red-400 mt-2">{error}</p>}
+    </div>
+  );
+}
+
+export default LiveRecorder;
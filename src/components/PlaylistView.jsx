@@ -0,0 +1,166 @@
+import React, { useState } from 'react';
+import { Download, ListVideo, Loader2, CheckSquare, Square } from 'lucide-react';
+import { formatDuration } from '../lib/format.js';
+
+// One quality preset is applied to every selected video
+const PRESETS = [
+  { id: 'max', label: 'Best' },
+  { id: 'compatible', label: 'Best compatible (H.264)' },
+  { id: '1080', label: '1080p' },
+  { id: '720', label: '720p' },
+  { id: '480', label: '480p' },
+  { id: '360', label: '360p' },
+  { id: 'audio', label: 'Audio only' }
+];
+
+function PlaylistView({
+  playlist, loadingMore, onLoadMore, onOpenVideo, onDownload, exportMetadata, onExportMetadataChange,
+  removeSponsors
+}) {
+  const [selected, setSelected] = useState(() => new Set());
+  const [preset, setPreset] = useState('max');
+
+  const allSelected = playlist.videos.length > 0 && selected.size === playlist.videos.length;
+
+  const toggle = (videoId) => {
+    setSelected(prev => {
+      const next = new Set(prev);
+      if (next.has(videoId)) next.delete(videoId);
+      else next.add(videoId);
+      return next;
+    });
+  };
+
+  const toggleAll = () => {
+    setSelected(allSelected ? new Set() : new Set(playlist.videos.map(v => v.videoId)));
+  };
+
+  const handleDownload = () => {
+    const videos = playlist.videos.filter(v => selected.has(v.videoId));
+    onDownload(videos, preset);
+  };
+
+  return (
+    <div className="bg-zinc-900/80 border border-zinc-800 rounded-3xl overflow-hidden shadow-2xl">
+      {/* Header */}
+      <div className="p-6 md:p-8 border-b border-zinc-800 flex items-center gap-4">
+        {playlist.thumbnail ? (
+          <img src={playlist.thumbnail} alt="" className="w-16 h-16 rounded-xl object-cover shrink-0" />
+        ) : (
+          <div className="w-16 h-16 rounded-xl bg-zinc-800 flex items-center justify-center shrink-0">
+            <ListVideo size={28} className="text-zinc-500" />
+          </div>
+        )}
+        <div className="min-w-0">
+          <span className="text-xs font-bold text-zinc-500 uppercase tracking-widest">
+            {playlist.type === 'channel' ? 'Channel' : 'Playlist'}
+          </span>
+          <h2 className="text-xl md:text-2xl font-bold truncate">{playlist.title}</h2>
+          <p className="text-sm text-zinc-400">
+            {playlist.type === 'playlist' && `${playlist.author} · `}
+            {playlist.videoCount ?? playlist.videos.length} videos
+          </p>
+        </div>
+      </div>
+
+      {/* Batch controls */}
+      <div className="px-6 md:px-8 py-4 border-b border-zinc-800 flex flex-wrap items-center gap-3">
+        <button
+          onClick={toggleAll}
+          className="flex items-center gap-2 text-sm text-zinc-300 hover:text-white transition-colors"
+        >
+          {allSelected ? <CheckSquare size={18} className="text-red-500" /> : <Square size={18} />}
+          Select all
+        </button>
+        <span className="text-sm text-zinc-500">{selected.size} selected</span>
+        <div className="flex-1" />
+        <label className="flex items-center gap-2 text-sm text-zinc-400 cursor-pointer" title=".nfo, .info.json and thumbnail">
+          <input
+            type="checkbox"
+            checked={exportMetadata}
+            onChange={(e) => onExportMetadataChange(e.target.checked)}
+            className="accent-red-600 w-4 h-4"
+          />
+          Export metadata
+        </label>
+        <select
+          value={preset}
+          onChange={(e) => setPreset(e.target.value)}
+          className="bg-zinc-800 border border-zinc-700 rounded-xl px-3 py-2 text-sm outline-none focus:border-red-500"
+        >
+          {PRESETS.map(p => (
+            <option key={p.id} value={p.id}>{p.label}</option>
+          ))}
+        </select>
+        <button
+          onClick={handleDownload}
+          disabled={selected.size === 0}
+          className="bg-white text-black hover:bg-zinc-200 disabled:bg-zinc-700 disabled:text-zinc-500 px-4 py-2 rounded-xl font-bold text-sm flex items-center gap-2 transition-colors"
+        >
+          <Download size={16} />
+          Download {selected.size || ''}
+        </button>
+        {removeSponsors && (
+          <p className="w-full text-xs text-zinc-500">
+            Sponsor segments are only removed from single videos; batch downloads keep them.
+          </p>
+        )}
+      </div>
+
+      {/* Video list */}
+      <div className="max-h-[32rem] overflow-y-auto divide-y divide-zinc-800/60">
+        {playlist.videos.map((video) => {
+          const isSelected = selected.has(video.videoId);
+          return (
+            <div
+              key={video.videoId}
+              className={`flex items-center gap-4 px-6 md:px-8 py-3 transition-colors ${
+                isSelected ? 'bg-red-600/10' : 'hover:bg-zinc-800/40'
+              }`}
+            >
+              <input
+                type="checkbox"
+                checked={isSelected}
+                onChange={() => toggle(video.videoId)}
+                className="accent-red-600 w-4 h-4 shrink-0"
+              />
+              <button
+                onClick={() => onOpenVideo(video.videoId)}
+                className="flex items-center gap-4 min-w-0 flex-1 text-left"
+              >
+                <div className="relative w-28 aspect-video shrink-0 rounded-lg overflow-hidden bg-zinc-800">
+                  <img src={video.thumbnail} alt="" className="w-full h-full object-cover" />
+                  {video.duration > 0 && (
+                    <span className="absolute bottom-1 right-1 bg-black/80 px-1 rounded text-xs font-mono text-white">
+                      {formatDuration(video.duration)}
+                    </span>
+                  )}
+                </div>
+                <div className="min-w-0">
+                  <p className="font-medium line-clamp-2">{video.title}</p>
+                  <p className="text-xs text-zinc-500 truncate">{video.author}</p>
+                </div>
+              </button>
+            </div>
+          );
+        })}
+      </div>
+
+      {/* Pagination */}
+      {playlist.nextPage && (
+        <div className="p-4 border-t border-zinc-800 text-center">
+          <button
+            onClick={onLoadMore}
+            disabled={loadingMore}
+            className="text-sm text-zinc-400 hover:text-white transition-colors inline-flex items-center gap-2"
+          >
+            {loadingMore && <Loader2 className="animate-spin" size={16} />}
+            Load more
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default PlaylistView;
@@ -0,0 +1,132 @@
+import React from 'react';
+import { Search, ListVideo, User, Loader2 } from 'lucide-react';
+import { formatCount, formatDuration } from '../lib/format.js';
+
+const TYPES = [
+  { id: 'all', label: 'All' },
+  { id: 'video', label: 'Videos' },
+  { id: 'playlist', label: 'Playlists' },
+  { id: 'channel', label: 'Channels' }
+];
+
+// YouTube's own buckets; they only apply to videos
+const DURATIONS = [
+  { id: null, label: 'Any length' },
+  { id: 'short', label: 'Under 4 min' },
+  { id: 'medium', label: '4-20 min' },
+  { id: 'long', label: 'Over 20 min' }
+];
+
+const chipClass = (active) => `px-2.5 py-1 rounded-lg text-xs font-bold transition-colors ${
+  active ? 'bg-zinc-200 text-black' : 'bg-zinc-800 text-zinc-400 hover:text-white'
+}`;
+
+function ResultCard({ result, onOpen }) {
+  const isChannel = result.type === 'channel';
+  const subtitle = result.type === 'video'
+    ? [result.author, result.views != null && `${formatCount(result.views)} views`].filter(Boolean).join(' · ')
+    : result.type === 'playlist'
+      ? [result.author, result.videoCount != null && `${result.videoCount} videos`].filter(Boolean).join(' · ')
+      : [result.subscribers != null && `${formatCount(result.subscribers)} subscribers`].filter(Boolean).join(' · ');
+
+  return (
+    <button onClick={() => onOpen(result)} className="text-left group min-w-0">
+      <div className={`relative aspect-video rounded-xl overflow-hidden bg-zinc-800 flex items-center justify-center ${
+        isChannel ? 'p-4' : ''
+      }`}>
+        {result.thumbnail ? (
+          <img
+            src={result.thumbnail}
+            alt=""
+            loading="lazy"
+            className={isChannel
+              ? 'h-full aspect-square rounded-full object-cover'
+              : 'w-full h-full object-cover group-hover:scale-105 transition-transform'}
+          />
+        ) : isChannel ? <User size={32} className="text-zinc-500" /> : <ListVideo size={32} className="text-zinc-500" />}
+        {result.type === 'video' && result.duration > 0 && (
+          <span className="absolute bottom-1 right-1 bg-black/80 px-1 rounded text-xs font-mono text-white">
+            {formatDuration(result.duration)}
+          </span>
+        )}
+        {result.type === 'playlist' && (
+          <span className="absolute bottom-1 right-1 bg-black/80 px-1.5 rounded text-xs text-white flex items-center gap-1">
+            <ListVideo size={12} />
+            Playlist
+          </span>
+        )}
+      </div>
+      <p className="font-medium text-sm line-clamp-2 mt-2 group-hover:text-red-400 transition-colors">{result.title}</p>
+      {subtitle && <p className="text-xs text-zinc-500 truncate">{subtitle}</p>}
+    </button>
+  );
+}
+
+// Results of a free-text search from the input box. Videos open the video
+// card; playlists and channels open the listing view.
+function SearchResults({ search, loading, loadingMore, onFiltersChange, onLoadMore, onOpen }) {
+  const { query, filters, results, nextPage } = search;
+
+  return (
+    <div className="bg-zinc-900/80 border border-zinc-800 rounded-3xl overflow-hidden shadow-2xl">
+      <div className="p-6 md:p-8 border-b border-zinc-800">
+        <div className="flex items-center gap-2 mb-4">
+          <Search size={18} className="text-zinc-500 shrink-0" />
+          <h2 className="text-xl font-bold truncate">{query}</h2>
+          {loading && <Loader2 className="animate-spin text-zinc-500" size={16} />}
+        </div>
+        <div className="flex flex-wrap items-center gap-x-4 gap-y-2">
+          <div className="flex gap-1">
+            {TYPES.map(type => (
+              <button
+                key={type.id}
+                onClick={() => onFiltersChange({ ...filters, type: type.id })}
+                className={chipClass(filters.type === type.id)}
+              >
+                {type.label}
+              </button>
+            ))}
+          </div>
+          {(filters.type === 'all' || filters.type === 'video') && (
+            <div className="flex gap-1">
+              {DURATIONS.map(duration => (
+                <button
+                  key={duration.label}
+                  onClick={() => onFiltersChange({ ...filters, duration: duration.id })}
+                  className={chipClass(filters.duration === duration.id)}
+                >
+                  {duration.label}
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+
+      {results.length === 0 ? (
+        <p className="p-8 text-center text-zinc-500">{loading ? 'Searching...' : 'No results'}</p>
+      ) : (
+        <div className="p-6 md:p-8 grid grid-cols-2 md:grid-cols-3 gap-x-4 gap-y-6">
+          {results.map(result => (
+            <ResultCard key={`${result.type}:${result.id}`} result={result} onOpen={onOpen} />
+          ))}
+        </div>
+      )}
+
+      {nextPage && results.length > 0 && (
+        <div className="p-4 border-t border-zinc-800 text-center">
+          <button
+            onClick={onLoadMore}
+            disabled={loadingMore}
+            className="text-sm text-zinc-400 hover:text-white transition-colors inline-flex items-center gap-2"
+          >
+            {loadingMore && <Loader2 className="animate-spin" size={16} />}
+            More results
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default SearchResults;
@@ -0,0 +1,29 @@
+import React from 'react';
+import {
+  Youtube, Clapperboard, Cloud, Twitter, MessageCircle, Music2, Instagram,
+  Facebook, Twitch, Tv, Pin, Globe
+} from 'lucide-react';
+
+// Closest lucide icon for each site in shared/sites.js
+const ICONS = {
+  youtube: Youtube,
+  vimeo: Clapperboard,
+  soundcloud: Cloud,
+  twitter: Twitter,
+  reddit: MessageCircle,
+  tiktok: Music2,
+  instagram: Instagram,
+  facebook: Facebook,
+  twitch: Twitch,
+  dailymotion: Tv,
+  bilibili: Tv,
+  pinterest: Pin,
+  bluesky: Cloud
+};
+
+function SiteIcon({ site, fallback = Globe, ...props }) {
+  const Icon = ICONS[site] || fallback;
+  return <Icon {...props} />;
+}
+
+export default SiteIcon;
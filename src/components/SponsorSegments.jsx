@@ -0,0 +1,73 @@
+import React from 'react';
+import { ShieldOff } from 'lucide-react';
+import { SPONSOR_CATEGORIES } from '../../shared/sponsorblock.js';
+import { formatDuration } from '../lib/format.js';
+
+const formatTime = (seconds) => formatDuration(Math.round(seconds)) || '0:00';
+
+// SponsorBlock segments on a timeline of the video, with the categories as a
+// legend. Only the `categories` that are switched on are removed or written
+// as chapters; the others are shown faded.
+function SponsorSegments({ segments, duration, clip, categories, onCategoriesChange }) {
+  const present = Object.keys(SPONSOR_CATEGORIES).filter(id => segments.some(s => s.category === id));
+  const position = (seconds) => `${Math.min(100, (seconds / duration) * 100)}%`;
+
+  const toggle = (id) => onCategoriesChange(
+    categories.includes(id) ? categories.filter(c => c !== id) : [...categories, id]
+  );
+
+  return (
+    <div className="border-t border-zinc-800 p-6 md:p-8">
+      <label className="text-xs font-bold text-zinc-500 uppercase tracking-widest mb-3 flex items-center gap-2">
+        <ShieldOff size={14} />
+        SponsorBlock
+        <span className="normal-case tracking-normal font-normal">
+          {segments.length === 0 ? 'no segments submitted' : `${segments.length} segments`}
+        </span>
+      </label>
+
+      {segments.length > 0 && (
+        <>
+          <div className="relative h-3 rounded-full bg-zinc-800 overflow-hidden mb-4">
+            {clip && (
+              <div
+                className="absolute inset-y-0 bg-zinc-600"
+                style={{ left: position(clip.start), width: position(clip.end - clip.start) }}
+              />
+            )}
+            {segments.map(segment => (
+              <div
+                key={segment.uuid || segment.start}
+                title={`${SPONSOR_CATEGORIES[segment.category]?.label || segment.category}: ${formatTime(segment.start)} - ${formatTime(segment.end)}`}
+                className={`absolute inset-y-0 ${categories.includes(segment.category) ? '' : 'opacity-30'}`}
+                style={{
+                  left: position(segment.start),
+                  width: position(segment.end - segment.start),
+                  backgroundColor: SPONSOR_CATEGORIES[segment.category]?.color
+                }}
+              />
+            ))}
+          </div>
+
+          <div className="flex flex-wrap gap-x-4 gap-y-2">
+            {present.map(id => (
+              <label key={id} className="flex items-center gap-2 text-sm text-zinc-400 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={categories.includes(id)}
+                  onChange={() => toggle(id)}
+                  className="accent-red-600 w-4 h-4"
+                />
+                <span className="w-2.5 h-2.5 rounded-full" style={{ backgroundColor: SPONSOR_CATEGORIES[id].color }} />
+                {SPONSOR_CATEGORIES[id].label}
+                <span className="text-zinc-600">{segments.filter(s => s.category === id).length}</span>
+              </label>
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default SponsorSegments;
@@ -0,0 +1,337 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import * as db from '../lib/db.js';
+import { saveBlob } from '../lib/download.js';
+import { authHeaders } from '../lib/api.js';
+
+// Received bytes are written to IndexedDB in blocks of this size, which is
+// also how much a reload or crash can lose
+const FLUSH_BYTES = 4 * 1024 * 1024;
+const MAX_RETRIES = 3;
+const PROGRESS_INTERVAL = 250;
+
+// Fields that only make sense while the page is open
+const RUNTIME_FIELDS = ['received', 'speed', 'eta'];
+
+const persistable = (item) => Object.fromEntries(
+  Object.entries(item).filter(([key]) => !RUNTIME_FIELDS.includes(key))
+);
+
+// Chunks of each part are stored under their own key prefix
+const partKey = (id, index) => `${id}/${index}`;
+
+// `source` is a URL, or { url, fallback } for a direct link with a stream
+// proxy URL to use when the browser blocks it
+const newPart = (source) => ({
+  url: source.url || source,
+  fallbackUrl: source.fallback || null,
+  saved: 0,
+  chunkCount: 0,
+  total: null,
+  mimeType: null,
+  done: false
+});
+
+// Direct links go to third parties, which get neither the API token nor a
+// reason for a CORS preflight
+const requestHeaders = (part, saved) => ({
+  ...(!part.fallbackUrl && authHeaders()),
+  ...(saved > 0 && { Range: `bytes=${saved}-` })
+});
+
+const savedBytes = (item) => item.parts.reduce((sum, p) => sum + p.saved, 0);
+
+// Sum of the part sizes, once every part has reported one
+const totalBytes = (item) => item.parts.every(p => p.total)
+  ? item.parts.reduce((sum, p) => sum + p.total, 0)
+  : null;
+
+const parseFilename = (disposition) => {
+  if (!disposition) return null;
+  const encoded = disposition.match(/filename\*=UTF-8''([^;]+)/i);
+  if (encoded) return decodeURIComponent(encoded[1]);
+  return disposition.match(/filename="?([^";]+)"?/i)?.[1] || null;
+};
+
+// "bytes 100-199/1000" -> 1000
+const parseTotal = (response, offset) => {
+  const range = response.headers.get('Content-Range');
+  if (range) return parseInt(range.split('/')[1]) || null;
+  const length = parseInt(response.headers.get('Content-Length'));
+  return length ? offset + length : null;
+};
+
+// Download queue persisted in IndexedDB. Each item has one or more parts
+// (e.g. a video and an audio stream) that are fetched with progress, at most
+// `maxConcurrent` items at a time, and resumed with Range requests after a
+// pause, a network failure or a page reload. Items with a `postprocess` step
+// are handed to ffmpeg.wasm once all their parts are in. `onComplete` is called
+// with each item once its file has been saved, `onFailed` once it has run out
+// of retries.
+export function useDownloadQueue({ maxConcurrent = 2, onComplete, onFailed } = {}) {
+  const [items, setItems] = useState([]);
+  // Source of truth for the async transfer code; `items` is its render copy
+  const store = useRef(new Map());
+  const controllers = useRef(new Map());
+  // Items with a run that hasn't settled yet. A paused run may still be
+  // flushing its last chunk, so the item isn't started again until it has.
+  const running = useRef(new Set());
+  const loaded = useRef(false);
+  // Latest callbacks, without restarting transfers when they change
+  const callbacks = useRef({});
+  callbacks.current = { onComplete, onFailed };
+
+  const commit = useCallback(() => {
+    setItems([...store.current.values()].sort((a, b) => a.createdAt - b.createdAt));
+  }, []);
+
+  const patch = useCallback((id, changes, { persist = false } = {}) => {
+    const item = store.current.get(id);
+    if (!item) return;
+    const next = { ...item, ...changes };
+    store.current.set(id, next);
+    commit();
+    if (persist) db.put('downloads', persistable(next)).catch(console.error);
+  }, [commit]);
+
+  const patchPart = useCallback((id, index, changes, options) => {
+    const item = store.current.get(id);
+    if (!item) return;
+    const parts = item.parts.map((p, i) => i === index ? { ...p, ...changes } : p);
+    patch(id, { parts, total: totalBytes({ parts }) }, options);
+  }, [patch]);
+
+  // Fetch one part from wherever it stopped
+  const transferPart = useCallback(async (id, index, signal) => {
+    const item = store.current.get(id);
+    let part = item.parts[index];
+    const key = partKey(id, index);
+    let { saved, chunkCount } = part;
+    let buffer = [];
+    let buffered = 0;
+
+    const flush = async () => {
+      if (buffered === 0 || !store.current.has(id)) return;
+      await db.putChunk(key, chunkCount, new Blob(buffer));
+      saved += buffered;
+      chunkCount += 1;
+      buffer = [];
+      buffered = 0;
+      patchPart(id, index, { saved, chunkCount }, { persist: true });
+    };
+
+    try {
+      let response;
+      try {
+        response = await fetch(part.url, { headers: requestHeaders(part, saved), signal });
+      } catch (err) {
+        // fetch() fails with a TypeError when CORS blocks the direct link, so
+        // the part goes through the proxy from now on. The proxy may pick
+        // another file for the same quality, so the part starts over.
+        if (!(err instanceof TypeError) || !part.fallbackUrl) throw err;
+        await db.removeChunks(key);
+        saved = 0;
+        chunkCount = 0;
+        part = { ...part, url: part.fallbackUrl, fallbackUrl: null };
+        patchPart(id, index, { url: part.url, fallbackUrl: null, saved, chunkCount }, { persist: true });
+        response = await fetch(part.url, { headers: requestHeaders(part, saved), signal });
+      }
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+      // The server ignored the Range header, so start over
+      if (saved > 0 && response.status !== 206) {
+        await db.removeChunks(key);
+        saved = 0;
+        chunkCount = 0;
+      }
+
+      patchPart(id, index, {
+        saved,
+        chunkCount,
+        total: parseTotal(response, saved),
+        mimeType: response.headers.get('Content-Type')
+      }, { persist: true });
+      if (!store.current.get(id).filename) {
+        patch(id, { filename: parseFilename(response.headers.get('Content-Disposition')) || 'download' });
+      }
+
+      const reader = response.body.getReader();
+      let lastReport = Date.now();
+      let bytesSinceReport = 0;
+
+      for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        buffer.push(value);
+        buffered += value.length;
+        bytesSinceReport += value.length;
+
+        if (buffered >= FLUSH_BYTES) await flush();
+
+        const now = Date.now();
+        if (now - lastReport >= PROGRESS_INTERVAL) {
+          const current = store.current.get(id);
+          const speed = bytesSinceReport / ((now - lastReport) / 1000);
+          const received = savedBytes(current) + buffered;
+          patch(id, {
+            received,
+            speed,
+            eta: current.total && speed > 0 ? (current.total - received) / speed : null
+          });
+          lastReport = now;
+          bytesSinceReport = 0;
+        }
+      }
+
+      await flush();
+      patchPart(id, index, { done: true }, { persist: true });
+    } catch (err) {
+      await flush().catch(console.error);
+      throw err;
+    }
+  }, [patch, patchPart]);
+
+  const finish = useCallback(async (id) => {
+    const item = store.current.get(id);
+    const blobs = await Promise.all(item.parts.map(async (part, index) => {
+      const chunks = await db.getChunks(partKey(id, index));
+      return new Blob(chunks.map(c => c.blob), { type: part.mimeType || 'application/octet-stream' });
+    }));
+
+    let blob = blobs[0];
+    let filename = item.filename;
+    if (item.postprocess) {
+      patch(id, { status: 'processing', speed: 0, eta: null });
+      const { processDownload } = await import('../lib/ffmpeg.js');
+      blob = await processDownload(item.postprocess, blobs);
+      // Names from the proxy carry the first part's extension
+      filename = filename.replace(/(\.[^.]+)?$/, `.${item.postprocess.container}`);
+    }
+
+    saveBlob(blob, filename);
+    await Promise.all(item.parts.map((_, index) => db.removeChunks(partKey(id, index))));
+    patch(id, { status: 'done', filename, received: blob.size, total: blob.size, speed: 0, eta: 0 }, { persist: true });
+    callbacks.current.onComplete?.(store.current.get(id));
+  }, [patch]);
+
+  const run = useCallback(async (id) => {
+    const controller = new AbortController();
+    controllers.current.set(id, controller);
+    running.current.add(id);
+    patch(id, { status: 'downloading', error: null }, { persist: true });
+
+    try {
+      const { parts } = store.current.get(id);
+      for (const [index, part] of parts.entries()) {
+        if (!part.done) await transferPart(id, index, controller.signal);
+      }
+      await finish(id);
+    } catch (err) {
+      const current = store.current.get(id);
+
+      // Paused or removed on purpose
+      if (!current || controller.signal.aborted) return;
+
+      // Post-processing failures won't go away by downloading again
+      if (current.status !== 'processing' && current.retries < MAX_RETRIES) {
+        const retries = current.retries + 1;
+        patch(id, { status: 'retrying', error: err.message, retries, speed: 0 }, { persist: true });
+        setTimeout(() => {
+          if (store.current.get(id)?.status === 'retrying') patch(id, { status: 'queued' });
+        }, 2000 * retries);
+      } else {
+        console.error(err);
+        patch(id, { status: 'failed', error: err.message, speed: 0, eta: null }, { persist: true });
+        callbacks.current.onFailed?.(store.current.get(id));
+      }
+    } finally {
+      if (controllers.current.get(id) === controller) controllers.current.delete(id);
+      running.current.delete(id);
+      // Lets the scheduler pick up an item that was resumed meanwhile
+      commit();
+    }
+  }, [commit, patch, transferPart, finish]);
+
+  // Restore the queue saved by a previous session
+  useEffect(() => {
+    if (loaded.current) return;
+    loaded.current = true;
+
+    db.getAll('downloads').then(saved => {
+      for (const item of saved) {
+        const interrupted = ['downloading', 'retrying', 'processing'].includes(item.status);
+        store.current.set(item.id, {
+          ...item,
+          status: interrupted ? 'queued' : item.status,
+          received: item.status === 'done' ? item.total : savedBytes(item),
+          speed: 0,
+          eta: null
+        });
+      }
+      commit();
+    }).catch(console.error);
+  }, [commit]);
+
+  // Start queued items while there is a free slot
+  useEffect(() => {
+    const all = [...store.current.values()].sort((a, b) => a.createdAt - b.createdAt);
+    const active = all.filter(i => i.status === 'downloading' || i.status === 'processing').length;
+    all
+      .filter(i => i.status === 'queued' && !running.current.has(i.id))
+      .slice(0, Math.max(0, maxConcurrent - active))
+      .forEach(i => run(i.id));
+  }, [items, maxConcurrent, run]);
+
+  // entries: [{ title, url | urls, filename?, postprocess?, sidecar?, history? }],
+  // with each URL in the form newPart() takes; `sidecar` (see lib/sidecars.js)
+  // and `history` (see lib/history.js) are kept with the item for the callbacks
+  const add = useCallback((entries) => {
+    for (const entry of entries) {
+      const item = {
+        id: crypto.randomUUID(),
+        title: entry.title,
+        parts: (entry.urls || [entry.url]).map(newPart),
+        postprocess: entry.postprocess || null,
+        sidecar: entry.sidecar || null,
+        history: entry.history || null,
+        filename: entry.filename || null,
+        status: 'queued',
+        received: 0,
+        total: null,
+        retries: 0,
+        error: null,
+        speed: 0,
+        eta: null,
+        createdAt: Date.now() + store.current.size
+      };
+      store.current.set(item.id, item);
+      db.put('downloads', persistable(item)).catch(console.error);
+    }
+    commit();
+  }, [commit]);
+
+  const pause = useCallback((id) => {
+    patch(id, { status: 'paused', speed: 0, eta: null }, { persist: true });
+    controllers.current.get(id)?.abort();
+  }, [patch]);
+
+  const resume = useCallback((id) => {
+    patch(id, { status: 'queued', retries: 0, error: null }, { persist: true });
+  }, [patch]);
+
+  const remove = useCallback((id) => {
+    const item = store.current.get(id);
+    controllers.current.get(id)?.abort();
+    store.current.delete(id);
+    commit();
+    db.remove('downloads', id).catch(console.error);
+    item?.parts.forEach((_, index) => db.removeChunks(partKey(id, index)).catch(console.error));
+  }, [commit]);
+
+  const clearFinished = useCallback(() => {
+    for (const item of [...store.current.values()]) {
+      if (item.status === 'done') remove(item.id);
+    }
+  }, [remove]);
+
+  return { items, add, pause, resume, remove, clearFinished };
+}
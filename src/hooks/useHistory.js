@@ -0,0 +1,42 @@
+import { useCallback, useEffect, useState } from 'react';
+import * as db from '../lib/db.js';
+
+const newestFirst = (a, b) => b.time - a.time;
+
+// Fetch and download history persisted in IndexedDB (entry shape in
+// lib/history.js). Recording an entry with an existing `id` replaces it, which
+// is how a queued download moves from failed to done.
+export function useHistory() {
+  const [entries, setEntries] = useState([]);
+
+  useEffect(() => {
+    db.getAll('history')
+      .then(saved => setEntries(saved.sort(newestFirst)))
+      .catch(console.error);
+  }, []);
+
+  const record = useCallback((entry) => {
+    const full = { id: crypto.randomUUID(), time: Date.now(), error: null, ...entry };
+    setEntries(prev => [full, ...prev.filter(e => e.id !== full.id)].sort(newestFirst));
+    db.put('history', full).catch(console.error);
+    return full.id;
+  }, []);
+
+  const remove = useCallback((id) => {
+    setEntries(prev => prev.filter(e => e.id !== id));
+    db.remove('history', id).catch(console.error);
+  }, []);
+
+  const clear = useCallback(() => {
+    setEntries([]);
+    db.clear('history').catch(console.error);
+  }, []);
+
+  // Merged by ID, so importing the same file twice changes nothing
+  const importEntries = useCallback(async (imported) => {
+    await db.putAll('history', imported);
+    setEntries((await db.getAll('history')).sort(newestFirst));
+  }, []);
+
+  return { entries, record, remove, clear, importEntries };
+}
@@ -0,0 +1,30 @@
+// Requests to the VibeLoader API. Every failure, including the API being
+// unreachable, is thrown as an ApiError with a code from shared/errors.js.
+import { ApiError, fromResponse } from '../../shared/errors.js';
+
+// Access token for private deployments, saved by the settings panel
+export const TOKEN_KEY = 'ytdlp_api_token';
+
+export function authHeaders() {
+  const token = localStorage.getItem(TOKEN_KEY);
+  return token ? { Authorization: `Bearer ${token}` } : {};
+}
+
+export async function apiFetch(url, options = {}) {
+  let response;
+  try {
+    response = await fetch(url, { ...options, headers: { ...authHeaders(), ...options.headers } });
+  } catch {
+    throw new ApiError('API_UNREACHABLE');
+  }
+
+  const data = await response.json().catch(() => null);
+
+  if (!response.ok || !data || data.success === false) {
+    const error = fromResponse(data, response.status);
+    const retryAfter = parseInt(response.headers.get('Retry-After'));
+    if (retryAfter) error.details.retryAfter = retryAfter;
+    throw error;
+  }
+  return data;
+}
@@ -0,0 +1,78 @@
+// Minimal promise wrapper around the app's IndexedDB database
+const DB_NAME = 'vibeloader';
+const DB_VERSION = 2;
+
+let dbPromise = null;
+
+const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+export function openDb() {
+  if (!dbPromise) {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      // Download queue entries
+      if (!db.objectStoreNames.contains('downloads')) {
+        db.createObjectStore('downloads', { keyPath: 'id' });
+      }
+      // Received bytes of unfinished downloads, one Blob per flush
+      if (!db.objectStoreNames.contains('chunks')) {
+        db.createObjectStore('chunks', { keyPath: ['downloadId', 'index'] });
+      }
+      // Fetch and download history (see hooks/useHistory.js), added in version 2
+      if (!db.objectStoreNames.contains('history')) {
+        db.createObjectStore('history', { keyPath: 'id' }).createIndex('time', 'time');
+      }
+    };
+    dbPromise = promisify(request).then(db => {
+      // Let a newer version in another tab upgrade; the next call reopens
+      db.onversionchange = () => {
+        db.close();
+        dbPromise = null;
+      };
+      return db;
+    });
+  }
+  return dbPromise;
+}
+
+async function withStore(storeName, mode, run) {
+  const db = await openDb();
+  const tx = db.transaction(storeName, mode);
+  return promisify(run(tx.objectStore(storeName)));
+}
+
+export const getAll = (storeName) => withStore(storeName, 'readonly', store => store.getAll());
+
+export const put = (storeName, value) => withStore(storeName, 'readwrite', store => store.put(value));
+
+export const remove = (storeName, key) => withStore(storeName, 'readwrite', store => store.delete(key));
+
+export const clear = (storeName) => withStore(storeName, 'readwrite', store => store.clear());
+
+// Many values in one transaction, e.g. an import
+export async function putAll(storeName, values) {
+  const db = await openDb();
+  const tx = db.transaction(storeName, 'readwrite');
+  const store = tx.objectStore(storeName);
+  values.forEach(value => store.put(value));
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+// Chunks are keyed [downloadId, index], so a key range returns them in order
+const chunkRange = (downloadId) => IDBKeyRange.bound([downloadId, 0], [downloadId, Number.MAX_SAFE_INTEGER]);
+
+export const getChunks = (downloadId) =>
+  withStore('chunks', 'readonly', store => store.getAll(chunkRange(downloadId)));
+
+export const putChunk = (downloadId, index, blob) =>
+  put('chunks', { downloadId, index, blob });
+
+export const removeChunks = (downloadId) =>
+  withStore('chunks', 'readwrite', store => store.delete(chunkRange(downloadId)));
@@ -0,0 +1,27 @@
+// Links the app can be opened with, all ending up in the URL field and
+// fetched right away:
+//   /?url=<link>                        deep links and the bookmarklet
+//   /?text=...&title=...                Web Share Target (manifest.webmanifest);
+//                                       apps put the link in any of the three
+//   /watch?v=ID, /playlist?list=ID      youtube.com with the host swapped
+const LINK_PATTERN = /https?:\/\/\S+/i;
+
+const YOUTUBE_PATHS = ['/watch', '/playlist', '/shorts/', '/live/'];
+
+export function readDeepLink({ pathname, search }) {
+  const params = new URLSearchParams(search);
+
+  if (YOUTUBE_PATHS.some(path => pathname.startsWith(path))) {
+    return `https://www.youtube.com${pathname}${search}`;
+  }
+
+  for (const name of ['url', 'text', 'title']) {
+    const link = params.get(name)?.match(LINK_PATTERN)?.[0];
+    if (link) return link;
+  }
+  return null;
+}
+
+// Drag-to-bookmarks link that opens the current page in this deployment
+export const bookmarklet = (origin) =>
+  `javascript:void(location.href='${origin}/?url='+encodeURIComponent(location.href))`;
@@ -0,0 +1,19 @@
+// Start a browser download without leaving the page. Works for cross-origin
+// URLs as long as the response is sent with Content-Disposition: attachment.
+export function triggerDownload(url, filename = '') {
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.rel = 'noopener';
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+}
+
+
+// Save a Blob built in the page (merged video, captions, sidecar files)
+export function saveBlob(blob, filename) {
+  const objectUrl = URL.createObjectURL(blob);
+  triggerDownload(objectUrl, filename);
+  setTimeout(() => URL.revokeObjectURL(objectUrl), 60000);
+}
@@ -0,0 +1,120 @@
+// In-browser post-processing with ffmpeg.wasm. The download queue fetches the
+// parts from their googlevideo or Cobalt links, or through /api/stream when
+// CORS blocks those; muxing, cutting and tagging happen here, since a Worker
+// can't run ffmpeg.
+//
+// The ~30 MB core is fetched on first use (too large for a Pages asset) and
+// checked against the hashes of @ffmpeg/core 0.12.10 below. Point
+// VITE_FFMPEG_CORE_URL at a self-hosted copy of that same version if needed.
+import { FFmpeg } from '@ffmpeg/ffmpeg';
+
+const CORE_URL = import.meta.env.VITE_FFMPEG_CORE_URL
+  || 'https://cdn.jsdelivr.net/npm/@ffmpeg/core@0.12.10/dist/esm';
+
+// Subresource Integrity of dist/esm/ffmpeg-core.{js,wasm} in @ffmpeg/core 0.12.10
+const CORE_INTEGRITY = {
+  js: 'sha384-9KlAmgHu5wDqdgQvFhQGZOtKdCwGcMppDhM/kBkUpZ5LS7KGuAHbE+NgtJQEf84i',
+  wasm: 'sha384-U1VDhkPYrM3wTCT4/vjSpSsKqG/UjljYrYCI4hBSJ02svbCkxuCi6U6u/peg5vpW'
+};
+
+const MIME_TYPES = {
+  mp4: 'video/mp4',
+  webm: 'video/webm',
+  m4a: 'audio/mp4'
+};
+
+let ffmpegPromise = null;
+
+// The browser rejects the response if it doesn't match `integrity`
+async function verifiedBlobUrl(url, type, integrity) {
+  const response = await fetch(url, { integrity });
+  if (!response.ok) throw new Error(`ffmpeg core: HTTP ${response.status}`);
+  return URL.createObjectURL(new Blob([await response.arrayBuffer()], { type }));
+}
+
+function loadFFmpeg() {
+  if (!ffmpegPromise) {
+    ffmpegPromise = (async () => {
+      const ffmpeg = new FFmpeg();
+      await ffmpeg.load({
+        coreURL: await verifiedBlobUrl(`${CORE_URL}/ffmpeg-core.js`, 'text/javascript', CORE_INTEGRITY.js),
+        wasmURL: await verifiedBlobUrl(`${CORE_URL}/ffmpeg-core.wasm`, 'application/wasm', CORE_INTEGRITY.wasm)
+      });
+      return ffmpeg;
+    })().catch(err => {
+      ffmpegPromise = null;
+      throw err;
+    });
+  }
+  return ffmpegPromise;
+}
+
+// Write the inputs, run one command, read the output and clean up
+async function run(inputs, args, output) {
+  const ffmpeg = await loadFFmpeg();
+  const names = [];
+
+  try {
+    for (const [index, blob] of inputs.entries()) {
+      const name = `input${index}`;
+      await ffmpeg.writeFile(name, new Uint8Array(await blob.arrayBuffer()));
+      names.push(name);
+    }
+    const exitCode = await ffmpeg.exec(args(names).concat(output));
+    if (exitCode !== 0) throw new Error(`ffmpeg exited with code ${exitCode}`);
+    return await ffmpeg.readFile(output);
+  } finally {
+    for (const name of [...names, output]) {
+      await ffmpeg.deleteFile(name).catch(() => {});
+    }
+  }
+}
+
+// Entry point for the download queue: `blobs` holds one Blob per part. Two
+// parts (video-only + audio-only) are muxed into one file; `clip` cuts the
+// result to { start, end } seconds, `ranges` to several such ranges joined
+// back to back (the video without its SponsorBlock segments), and `metadata`
+// ({ title, artist, ... }) is written as tags. Streams are copied, not
+// re-encoded, so cuts snap to the keyframe before each start.
+export async function processDownload({ container, clip, ranges, metadata = {} }, blobs) {
+  if (ranges?.length > 1) return cutRanges({ container, ranges, metadata }, blobs);
+
+  const range = ranges?.[0] || clip;
+  const seek = range ? ['-ss', String(range.start), '-to', String(range.end)] : [];
+  const data = await run(blobs, (names) => [
+    ...names.flatMap(name => [...seek, '-i', name]),
+    ...(names.length > 1 ? ['-map', '0:v:0', '-map', '1:a:0'] : []),
+    '-c', 'copy',
+    ...metadataArgs(metadata),
+    '-avoid_negative_ts', 'make_zero'
+  ], `output.${container}`);
+  return new Blob([data], { type: MIME_TYPES[container] });
+}
+
+const metadataArgs = (metadata) => Object.entries(metadata)
+  .filter(([, value]) => value)
+  .flatMap(([key, value]) => ['-metadata', `${key}=${value}`]);
+
+// Mux first, cut every range out of the result, then join them with the
+// concat demuxer
+async function cutRanges({ container, ranges, metadata }, blobs) {
+  const source = blobs.length > 1
+    ? await processDownload({ container }, blobs)
+    : blobs[0];
+
+  const pieces = [];
+  for (const range of ranges) {
+    pieces.push(await processDownload({ container, clip: range }, [source]));
+  }
+
+  // Inputs are written as input0, input1...; the list comes last
+  const list = pieces.map((_, index) => `file 'input${index}'`).join('\n');
+  const data = await run([...pieces, new Blob([list])], (names) => [
+    '-f', 'concat',
+    '-safe', '0',
+    '-i', names[names.length - 1],
+    '-c', 'copy',
+    ...metadataArgs(metadata)
+  ], `output.${container}`);
+  return new Blob([data], { type: MIME_TYPES[container] });
+}
@@ -0,0 +1,39 @@
+// Display formatting shared by the views
+
+// Format file size
+export const formatSize = (bytes) => {
+  if (!bytes) return '';
+  const mb = bytes / (1024 * 1024);
+  if (mb >= 1024) return `${(mb / 1024).toFixed(1)} GB`;
+  return `${mb.toFixed(0)} MB`;
+};
+
+// Format audio bitrate
+export const formatBitrate = (bps) => {
+  if (!bps) return '';
+  return `${Math.round(bps / 1000)} kbps`;
+};
+
+// Format duration
+export const formatDuration = (seconds) => {
+  if (!seconds) return '';
+  const hrs = Math.floor(seconds / 3600);
+  const mins = Math.floor((seconds % 3600) / 60);
+  const secs = seconds % 60;
+  if (hrs > 0) {
+    return `${hrs}:${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+  }
+  return `${mins}:${secs.toString().padStart(2, '0')}`;
+};
+
+// Parse "1:02:03", "2:03" or "123" back into seconds
+export const parseTimestamp = (value) => {
+  if (!/^\d+(:\d{1,2}){0,2}$/.test(value.trim())) return null;
+  return value.trim().split(':').reduce((total, part) => total * 60 + parseInt(part), 0);
+};
+
+// Format view and subscriber counts: 1234567 -> "1.2M"
+export const formatCount = (count) => {
+  if (count == null) return '';
+  return new Intl.NumberFormat('en', { notation: 'compact', maximumFractionDigits: 1 }).format(count);
+};
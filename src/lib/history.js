@@ -0,0 +1,106 @@
+// Download history entries and their JSON/CSV exchange format.
+//
+// An entry records one fetch or download:
+//   { id, kind: 'fetch' | 'download', time, videoId, url, site, title, author,
+//     thumbnail, quality, result, error }
+// `time` is in ms; `result` is 'ok' or 'failed' for fetches and 'done',
+// 'failed' or 'opened' (handed to the browser, outcome unknown) for downloads.
+export const HISTORY_FIELDS = [
+  'id', 'kind', 'time', 'videoId', 'url', 'site', 'title', 'author',
+  'thumbnail', 'quality', 'result', 'error'
+];
+
+const KINDS = ['fetch', 'download'];
+
+// Link to fetch the entry again; stream links expire, the page doesn't
+export const entryLink = (entry) =>
+  entry.url || (entry.videoId ? `https://www.youtube.com/watch?v=${entry.videoId}` : null);
+
+export function toJson(entries) {
+  return JSON.stringify({ version: 1, exportedAt: new Date().toISOString(), entries }, null, 2);
+}
+
+const csvCell = (value) => {
+  if (value == null) return '';
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Times as ISO strings so the file reads well in a spreadsheet
+export function toCsv(entries) {
+  const rows = entries.map(entry => HISTORY_FIELDS.map(field =>
+    csvCell(field === 'time' ? new Date(entry.time).toISOString() : entry[field])
+  ).join(','));
+  return [HISTORY_FIELDS.join(','), ...rows].join('\r\n');
+}
+
+// RFC 4180: quoted cells may contain commas, quotes ("") and line breaks
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  const [header = [], ...body] = rows.filter(r => r.some(Boolean));
+  return body.map(r => Object.fromEntries(header.map((field, index) => [field.trim(), r[index]])));
+}
+
+// Known fields only, with types restored; null for rows that describe nothing
+function normalizeEntry(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+  const time = typeof raw.time === 'number' ? raw.time : Date.parse(raw.time);
+  const entry = Object.fromEntries(HISTORY_FIELDS.map(field => [field, raw[field] || null]));
+  if (!entry.title && !entry.videoId && !entry.url) return null;
+
+  return {
+    ...entry,
+    id: entry.id || crypto.randomUUID(),
+    kind: KINDS.includes(entry.kind) ? entry.kind : 'download',
+    time: Number.isFinite(time) ? time : Date.now()
+  };
+}
+
+// Entries from an exported file (either format); throws on anything else
+export function parseHistoryFile(text) {
+  const trimmed = text.trim();
+  let raw;
+  if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+    const data = JSON.parse(trimmed);
+    raw = Array.isArray(data) ? data : data.entries;
+    if (!Array.isArray(raw)) throw new Error('No "entries" list in this file');
+  } else {
+    raw = parseCsv(trimmed);
+  }
+  return raw.map(normalizeEntry).filter(Boolean);
+}
@@ -0,0 +1,93 @@
+// Records an HLS stream into one file in the browser: a live stream until it
+// ends or is stopped, or a finished (post-live) stream from its first segment
+// to its last. Everything is fetched through the API's /api/hls proxy.
+import { parseHlsMedia } from '../../shared/manifests.js';
+import { authHeaders } from './api.js';
+
+const SEGMENT_RETRIES = 3;
+
+const proxied = (apiUrl, url) => `${apiUrl}/api/hls?url=${encodeURIComponent(url)}`;
+
+const sleep = (ms, signal) => new Promise(resolve => {
+  const timeoutId = setTimeout(resolve, ms);
+  signal.addEventListener('abort', () => {
+    clearTimeout(timeoutId);
+    resolve();
+  }, { once: true });
+});
+
+// Rate limited requests wait as long as the API asks and go again
+async function fetchOk(url, signal) {
+  for (;;) {
+    const response = await fetch(url, { signal, headers: authHeaders() });
+    if (response.status === 429) {
+      await sleep((Number(response.headers.get('Retry-After')) || 5) * 1000, signal);
+      signal.throwIfAborted();
+      continue;
+    }
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    return response;
+  }
+}
+
+async function fetchSegment(url, signal) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await (await fetchOk(url, signal)).blob();
+    } catch (err) {
+      if (signal.aborted || attempt >= SEGMENT_RETRIES) throw err;
+      await sleep(1000 * attempt, signal);
+    }
+  }
+}
+
+// `playlistUrl` is a variant (media playlist) URL from the formats of
+// /api/info. Aborting `signal` stops the recording and resolves with what was
+// saved so far. onProgress({ duration, bytes, segments, missed, live }) runs
+// after every segment; `missed` counts segments that left the live window
+// before they could be fetched.
+export async function recordHls(apiUrl, playlistUrl, { signal, onProgress }) {
+  const blobs = [];
+  let lastSequence = -1;
+  let duration = 0;
+  let bytes = 0;
+  let missed = 0;
+  let mapFetched = false;
+  let fmp4 = false;
+
+  try {
+    for (;;) {
+      const text = await (await fetchOk(proxied(apiUrl, playlistUrl), signal)).text();
+      // Segment URIs in the playlist already point at the proxy
+      const playlist = parseHlsMedia(text, playlistUrl);
+
+      if (playlist.map && !mapFetched) {
+        blobs.push(await fetchSegment(playlist.map, signal));
+        mapFetched = true;
+        fmp4 = true;
+      }
+
+      const fresh = playlist.segments.filter(s => s.sequence > lastSequence);
+      if (lastSequence >= 0 && fresh.length > 0) missed += Math.max(0, fresh[0].sequence - lastSequence - 1);
+
+      for (const segment of fresh) {
+        const blob = await fetchSegment(segment.url, signal);
+        blobs.push(blob);
+        bytes += blob.size;
+        duration += segment.duration;
+        lastSequence = segment.sequence;
+        onProgress?.({ duration, bytes, segments: blobs.length, missed, live: !playlist.endList });
+      }
+
+      if (playlist.endList) break;
+      // New segments show up about once per target duration
+      await sleep((playlist.targetDuration || 5) * 500, signal);
+      if (signal.aborted) break;
+    }
+  } catch (err) {
+    // Stopped on purpose: keep what was recorded
+    if (!signal.aborted) throw err;
+  }
+
+  return new Blob(blobs, { type: fmp4 ? 'video/mp4' : 'video/mp2t' });
+}
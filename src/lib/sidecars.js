@@ -0,0 +1,115 @@
+// Media-server sidecar files saved next to a download, named after it:
+//   <name>.nfo        Kodi/Jellyfin/Plex (XBMCnfoMoviesImporter) movie NFO
+//   <name>.info.json  yt-dlp's --write-info-json layout
+//   <name>.jpg        the largest thumbnail
+// `info` is an /api/info response (or the subset kept by pickMetadata).
+import { saveBlob } from './download.js';
+import { authHeaders } from './api.js';
+
+const METADATA_FIELDS = [
+  'videoId', 'url', 'site', 'title', 'author', 'channelId', 'description',
+  'published', 'duration', 'views', 'tags', 'thumbnail', 'chapters'
+];
+
+// What the sidecars need, small enough to keep with a queued download
+export const pickMetadata = (info) =>
+  Object.fromEntries(METADATA_FIELDS.map(field => [field, info[field] ?? null]));
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const webpageUrl = (info) => info.url || `https://www.youtube.com/watch?v=${info.videoId}`;
+
+export function buildNfo(info) {
+  const date = info.published ? new Date(info.published * 1000).toISOString().slice(0, 10) : null;
+  const lines = [
+    ['title', info.title],
+    ['plot', info.description],
+    ['runtime', info.duration ? Math.round(info.duration / 60) : null],
+    ['premiered', date],
+    ['year', date?.slice(0, 4)],
+    ['studio', info.author],
+    ['director', info.author],
+    ['trailer', webpageUrl(info)],
+    ...(info.tags || []).map(tag => ['tag', tag])
+  ]
+    .filter(([, value]) => value != null && value !== '')
+    .map(([tag, value]) => `  <${tag}>${escapeXml(value)}</${tag}>`);
+
+  if (info.videoId) {
+    lines.push(`  <uniqueid type="youtube" default="true">${escapeXml(info.videoId)}</uniqueid>`);
+  }
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>',
+    '<movie>',
+    ...lines,
+    '</movie>',
+    ''
+  ].join('\n');
+}
+
+// `format` is the downloaded entry of info.formats/audioFormats, when known
+export function buildInfoJson(info, format = null) {
+  const published = info.published ? new Date(info.published * 1000) : null;
+  const site = info.site?.name || 'YouTube';
+
+  return JSON.stringify({
+    id: info.videoId || info.url,
+    title: info.title,
+    fulltitle: info.title,
+    description: info.description || '',
+    uploader: info.author,
+    channel: info.author,
+    channel_id: info.channelId,
+    duration: info.duration,
+    view_count: info.views,
+    upload_date: published ? published.toISOString().slice(0, 10).replace(/-/g, '') : null,
+    timestamp: info.published,
+    tags: info.tags || [],
+    thumbnail: info.thumbnail,
+    chapters: (info.chapters || []).map(c => ({ title: c.title, start_time: c.start, end_time: c.end })),
+    webpage_url: webpageUrl(info),
+    extractor: site.toLowerCase(),
+    extractor_key: site.replace(/[^a-z]/gi, ''),
+    _type: 'video',
+    ...(format && {
+      format_id: format.itag != null ? String(format.itag) : undefined,
+      ext: format.container,
+      vcodec: format.type === 'audio' ? 'none' : format.codec,
+      acodec: format.type === 'audio' ? format.codec : format.audioCodec || 'none',
+      height: format.resolution,
+      fps: format.fps,
+      tbr: format.bitrate ? format.bitrate / 1000 : null,
+      filesize: format.size
+    })
+  }, null, 2);
+}
+
+async function fetchThumbnail(info, apiUrl) {
+  // YouTube's go through the API, which picks the largest size and adds CORS
+  const url = info.videoId ? `${apiUrl}/api/thumbnail/${info.videoId}` : info.thumbnail;
+  if (!url) return null;
+  const response = await fetch(url, { headers: info.videoId ? authHeaders() : {} });
+  return response.ok ? response.blob() : null;
+}
+
+// Save the three sidecars for the video saved as `filename`
+export async function exportSidecars(filename, info, { apiUrl = '', format = null } = {}) {
+  const base = filename.replace(/\.[^.]+$/, '');
+  saveBlob(new Blob([buildNfo(info)], { type: 'text/xml' }), `${base}.nfo`);
+  saveBlob(new Blob([buildInfoJson(info, format)], { type: 'application/json' }), `${base}.info.json`);
+
+  try {
+    const thumbnail = await fetchThumbnail(info, apiUrl);
+    if (thumbnail) {
+      const ext = { 'image/webp': 'webp', 'image/png': 'png' }[thumbnail.type] || 'jpg';
+      saveBlob(thumbnail, `${base}.${ext}`);
+    }
+  } catch (err) {
+    console.error(`Thumbnail not saved: ${err.message}`);
+  }
+}
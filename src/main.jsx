@@ -8,3 +8,11 @@ createRoot(document.getElementById('root')).render(
     <App />
   </StrictMode>,
 )
+
+// App shell cache and share target (public/sw.js); dev builds skip it so
+// Vite's hot reload isn't served stale modules
+if ('serviceWorker' in navigator && import.meta.env.PROD) {
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('/sw.js').catch(err => console.error(`Service worker not registered: ${err.message}`))
+  })
+}
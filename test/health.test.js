@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHealthTracker } from '../functions/_lib/health.js';
+
+const fakeKv = (stored = null) => ({
+  value: stored,
+  puts: 0,
+  async get() { return this.value; },
+  async put(key, value) { this.puts += 1; this.value = JSON.parse(value); }
+});
+
+test('health stats are written to KV at most once per interval and merged by age', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-01-01T00:00:00Z') });
+  const kv = fakeKv({ 'https://other.test': { successRate: 0.5, updatedAt: 1 } });
+  const env = { VIBELOADER_HEALTH: kv };
+
+  for (let i = 0; i < 5; i++) {
+    const health = await createHealthTracker(env).load();
+    health.recordSuccess('https://a.test', 100);
+    await health.save();
+  }
+  assert.equal(kv.puts, 1);
+  assert.ok(kv.value['https://a.test']);
+  assert.ok(kv.value['https://other.test']);
+
+  t.mock.timers.tick(30 * 1000);
+  const health = await createHealthTracker(env).load();
+  health.recordFailure('https://a.test', 'HTTP 500');
+  await health.save();
+  assert.equal(kv.puts, 2);
+  assert.equal(kv.value['https://a.test'].failures, 1);
+  assert.equal(kv.value['https://a.test'].successes, 5);
+});
@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { onRequestPost } from '../functions/api/jobs/index.js';
+import { createJob, getJob } from '../functions/_lib/jobs.js';
+
+const context = (body) => ({
+  request: new Request('https://vibeloader.test/api/jobs', { method: 'POST', body }),
+  env: {},
+  data: {},
+  waitUntil() {}
+});
+
+test('rejects bodies that are not a JSON object with INVALID_REQUEST', async () => {
+  for (const body of ['null', '42', '"text"', '{not json']) {
+    const response = await onRequestPost(context(body));
+    assert.equal(response.status, 400, body);
+    assert.equal((await response.json()).code, 'INVALID_REQUEST', body);
+  }
+});
+
+test('jobs kept in memory expire after a day', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-01-01T00:00:00Z') });
+  const env = {};
+  const job = await createJob(env, {
+    target: { site: { id: 'youtube', name: 'YouTube' }, videoId: 'dQw4w9WgXcQ' },
+    options: { quality: '720', audioFormat: null },
+    webhook: null,
+    origin: 'https://vibeloader.test',
+    owner: null
+  });
+  assert.equal((await getJob(env, job.id)).id, job.id);
+
+  t.mock.timers.tick(24 * 60 * 60 * 1000);
+  assert.equal(await getJob(env, job.id), null);
+});
@@ -0,0 +1,36 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { onRequestGet } from '../functions/api/stream/[id].js';
+
+const INSTANCE = 'http://ytdlp.test';
+const realFetch = globalThis.fetch;
+
+afterEach(() => {
+  globalThis.fetch = realFetch;
+});
+
+const context = (path) => ({
+  request: new Request(`https://vibeloader.test${path}`),
+  params: { id: 'dQw4w9WgXcQ' },
+  env: { YTDLP_INSTANCES: INSTANCE, PROVIDER_PRIORITY: 'ytdlp' },
+  waitUntil() {}
+});
+
+test('answers UPSTREAM_ERROR when the connection to the stream drops', async () => {
+  globalThis.fetch = async (url) => {
+    if (String(url).startsWith(INSTANCE)) {
+      return Response.json({
+        success: true,
+        title: 'Video',
+        formats: [{ format_id: '18', url: 'https://googlevideo.test/18', ext: 'mp4', vcodec: 'avc1.42001E', acodec: 'mp4a.40.2', height: 360 }]
+      });
+    }
+    throw new TypeError('network connection lost');
+  };
+
+  const response = await onRequestGet(context('/api/stream/dQw4w9WgXcQ?q=360'));
+  assert.equal(response.status, 502);
+  const body = await response.json();
+  assert.equal(body.code, 'UPSTREAM_ERROR');
+  assert.match(body.error, /network connection lost/);
+});
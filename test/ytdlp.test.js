@@ -0,0 +1,35 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createYtdlpProvider } from '../functions/_lib/providers/ytdlp.js';
+import { noopHealth } from '../functions/_lib/health.js';
+
+const realFetch = globalThis.fetch;
+
+afterEach(() => {
+  globalThis.fetch = realFetch;
+});
+
+test('getInfo splits video formats and native audio streams', async () => {
+  globalThis.fetch = async () => Response.json({
+    success: true,
+    title: 'Video',
+    formats: [
+      { format_id: '18', url: 'https://v.test/18', ext: 'mp4', vcodec: 'avc1.42001E', acodec: 'mp4a.40.2', height: 360 },
+      { format_id: '137', url: 'https://v.test/137', ext: 'mp4', vcodec: 'avc1.640028', acodec: 'none', height: 1080 },
+      { format_id: '140', url: 'https://v.test/140', ext: 'm4a', vcodec: 'none', acodec: 'mp4a.40.2', tbr: 129.5, asr: 44100 },
+      { format_id: '251', url: 'https://v.test/251', ext: 'webm', vcodec: 'none', acodec: 'opus', tbr: 140.1, asr: 48000 }
+    ]
+  });
+
+  const provider = createYtdlpProvider({ instances: ['http://ytdlp.test'], timeout: 1000, priority: 0, health: noopHealth });
+  const info = await provider.getInfo('dQw4w9WgXcQ');
+
+  assert.deepEqual(info.formats.map(f => [f.itag, f.type, f.codec, f.audioCodec]), [
+    [18, 'format', 'h264', 'aac'],
+    [137, 'adaptive', 'h264', null]
+  ]);
+  assert.deepEqual(info.audioFormats.map(f => [f.itag, f.type, f.codec, f.container, f.sampleRate]), [
+    [251, 'audio', 'opus', 'webm', 48000],
+    [140, 'audio', 'm4a', 'm4a', 44100]
+  ]);
+});
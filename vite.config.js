@@ -4,4 +4,8 @@ import react from '@vitejs/plugin-react'
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react()],
+  // ffmpeg.wasm spawns its own module worker, which pre-bundling breaks
+  optimizeDeps: {
+    exclude: ['@ffmpeg/ffmpeg'],
+  },
 })